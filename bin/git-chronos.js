@@ -3,6 +3,448 @@
 // |> Git Chronos CLI Entry Point <|
 // =========================================================================
 // This file serves as the entry point for the CLI when installed via npm.
-// It simply delegates to the main logic in lib/index.js.
+// It is the only place that reads process.argv, installs signal handlers
+// or exits the process; everything else lives in the lib/index.js engine.
 
-require('../lib/index.js');
\ No newline at end of file
+const augEffects = require('../lib/augEffects');
+const { createFleet, parseArgs, resolveConfig, usesProfiles, requestControl, ChronosError } = require('../lib/index.js');
+
+const argv = process.argv.slice(2);
+
+// Show help if --help or -h is passed
+if (argv.includes('--help') || argv.includes('-h')) {
+  console.log(`
+|> Git Chronos - Commit Engine Activated <|
+    Usage:
+      git-chronos [options]          Run the commit engine
+      git-chronos report [options]   Summarize the ledger: commits per day/week/hour, limit hits,
+                                     failed pushes and skipped pulses, then exit
+      git-chronos status [options]   Show the running daemon's status (the saved state when none runs)
+      git-chronos pause|resume       Idle every pulse until resumed; kept across restarts
+      git-chronos run-now            Make the running daemon fire its next pulse now
+      git-chronos reload             Make the running daemon re-read its config (same as SIGHUP)
+      git-chronos unlock [--force]   Remove a stale repository lock; --force removes a live one too
+                                     Control commands reach the daemon through its control socket,
+                                     so pass them the daemon's --config/--repo/--profile
+    Report options:
+      --format=<fmt>           table, json or csv (default: table)
+      --since=<YYYY-MM-DD>     First day covered, in the profile's timezone
+      --until=<YYYY-MM-DD>     Last day covered, in the profile's timezone
+    Options:
+      --config=<path>          JSON config file (default: <repo>/.gitchronosrc.json or "gitChronos" in <repo>/package.json)
+      --profile=<names>        Only run these comma-separated profiles from the config file
+      --status                 Print the combined status of every profile and exit
+      --dry-run                Run one pulse without writing, committing or pushing; print the planned commits
+      --plan                   Preview the schedule without running it (fixed random seed)
+      --days=<n>               Days covered by --plan (default: 7)
+      --seed=<seed>            Seed every random decision (commit counts, delays, message picks) for replayable runs
+      --repo=<path>            Path to Git repository (default: current directory)
+      --branch=<name>          Git branch (default: main)
+      --timezone=<tz>          Timezone (default: America/New_York)
+      --minCommits=<n>         Min random commits per day (default: 1)
+      --maxCommits=<n>         Max random commits per day (default: 10)
+      --dailyLimit=<n>         Absolute daily commit limit (default: 15)
+      --weeklyLimit=<n>        At most this many commits per week (default: none)
+      --monthlyLimit=<n>       At most this many commits per month (default: none)
+      --dailyMinimum=<n>       At least this many commits on every day the bot runs (default: none)
+      --weeklyMinimum=<n>      At least this many commits per week (default: none)
+      --monthlyMinimum=<n>     At least this many commits per month (default: none)
+      --quotaWindow=<mode>     Quota weeks and months: calendar (Monday-Sunday, calendar month)
+                               or rolling (last 7/30 days) (default: calendar)
+      --commitDelayMin=<ms>    Min delay between commits (ms, default: 1000)
+      --commitDelayMax=<ms>    Max delay between commits (ms, default: 5000)
+      --scheduleStart=<hour>   Start hour for commits (0-23, default: 9)
+      --scheduleEnd=<hour>     End hour for commits (0-23, default: 17)
+      --schedule=<spec>        Cron expressions and/or weekday windows, ';'-separated
+                               (e.g. "Mon-Thu 09:30-18:00, Fri 09:30-13:00; 0 20 * * sat"); replaces the start/end hours
+      --calendar=<path>        Holiday/blackout calendar: an .ics file or a JSON list of dates and ranges
+      --distribution=<mode>    Spread each day's commits over the schedule: pulse (back-to-back at every pulse),
+                               uniform, weighted or clustered (default: pulse)
+      --distributionOptions=<json> Options for the distribution (e.g. '{"weights":{"9":1,"14":3}}' or
+                               '{"sessions":3,"spread":20}')
+      --messageTemplate=<text> Commit message with {date} {time} {timestamp} {index} {total} {count} {branch} {files} placeholders
+                               (default: " -🤖- auto-commit: {timestamp}")
+      --messageFile=<path>     Draw messages from a list file (.json array, or one per line) instead
+      --messageOrder=<order>   Draw list messages in "sequence" or at "random" (default: sequence)
+      --messageBody=<text>     Optional message body (same placeholders)
+      --messageTrailers=<json> Trailers appended to every message (e.g. '{"Refs":"#42"}')
+      --conventional           Validate messages as Conventional Commits (type(scope): subject)
+      --conventionalTypes=<list> Allowed Conventional Commit types (default: feat,fix,docs,style,refactor,perf,test,build,ci,chore,revert)
+      --authorName=<name>      Commit author name (default: git's user.name)
+      --authorEmail=<email>    Commit author email (default: git's user.email)
+      --committerName=<name>   Committer name (default: the author name)
+      --committerEmail=<email> Committer email (default: the author email)
+      --coAuthors=<list>       Comma-separated "Name <email>" entries added as Co-authored-by trailers
+      --sign                   Sign every commit (git commit -S)
+      --signingFormat=<fmt>    Signature format: gpg, ssh or x509 (default: gpg)
+      --signingKey=<key>       GPG key ID or SSH key path (default: git's user.signingkey)
+      --enableWeekends         Enable weekend commits (default: false)
+      --targetFile=<name>      Target file for bot updates (default: bot_activity.log)
+      --generator=<name|path>  Content generator: append-line, json-field, command, copy or a JS module (default: append-line)
+      --generatorOptions=<json> Options passed to the generator (e.g. '{"file":"version.json","field":"build","increment":1}')
+      --pr                     Commit to a dated branch and open a pull request for it instead of pushing to --branch
+      --prBranch=<template>    Pull-request branch name, with {date} {profile} {branch} placeholders (default: chronos/{date})
+      --prProvider=<name|path> Forge API: gitea, gitlab or a JS module (default: gitea)
+      --prUrl=<url>            Forge base URL (e.g. https://git.example.com)
+      --prToken=<token>        Forge API token (prefer the PR_TOKEN environment variable)
+      --prRepo=<owner/name>    Forge repository (default: the path in the remote's URL)
+      --prTitle=<text>         Pull-request title, with {date} {branch} {head} {profile} placeholders
+                               (default: "chore: chronos activity for {date}")
+      --prAutoMerge            Merge each pull request once the forge's checks pass
+      --prDeleteBranch         Delete merged pull-request branches on the forge and pushed ones locally
+      --dirtyPolicy=<policy>   Uncommitted work in the repo: abort (skip the pulse), stash (set aside and restore)
+                               or own-paths (leave it out of bot commits) (default: own-paths)
+      --remote=<name>          Git remote to sync with and push to (default: origin)
+      --pushStrategy=<mode>    When to push: each (after every commit), batch (once per pulse),
+                               end-of-day (after the day's last pulse) or none (default: each)
+      --sync=<mode>            Update from the remote before committing: rebase, ff-only or none (default: rebase)
+      --worktree               Commit in a dedicated git worktree for the branch instead of the repo's checkout
+      --worktreeDir=<path>     Worktree location (default: <stateDir>/worktrees/<profile>)
+      --stateDir=<path>        Directory for the tracker, ledger, lock and log files (default: <repo>/.git/chronos)
+      --commitTrackerFile=<path> Commit tracker file path (default: <stateDir>/commit_tracker.json)
+      --ledgerFile=<path>      Append-only commit history (default: <stateDir>/commit_ledger.jsonl)
+      --lockFile=<path>        Lock file path for concurrency (default: <stateDir>/git_chronos.lock)
+      --lockHeartbeat=<ms>     How often the lock holder refreshes its heartbeat (ms, default: 30000)
+      --lockStaleAfter=<ms>    Treat a lock whose heartbeat is older as stale (ms, default: 300000)
+      --logFile=<path>         Log file path (default: <stateDir>/bot_runtime.log)
+      --logLevel=<level>       Least severe entries logged: debug, info, warn or error (default: info)
+      --logFormat=<fmt>        Log file lines as text or json objects with run id, repo and SHA fields (default: text)
+      --logMaxSize=<bytes>     Rotate the log file past this size, 0 for never (default: 10485760)
+      --logMaxAge=<days>       Rotate the log file once its first entry is this old, 0 for never (default: 7)
+      --logMaxFiles=<n>        Rotated log files kept (bot_runtime.log.1, .2, ...) (default: 5)
+      --retryAttempts=<n>      Attempts per git step (stage, commit, pull, push) (default: 3)
+      --retryDelay=<ms>        First retry delay, doubled for each further retry (ms, default: 5000)
+      --retryMaxDelay=<ms>     Longest single retry delay (ms, default: 60000)
+      --retryMaxTime=<ms>      Give up once a step has spent this long retrying (ms, default: 300000)
+      --httpPort=<port>        Serve /healthz, /status and /metrics (Prometheus) while the daemon runs
+      --httpHost=<host>        Address the status server binds to (default: 127.0.0.1)
+      --controlSocket=<path>   Control socket for the subcommands (default: <stateDir>/git_chronos.sock)
+      --notify=<json>          Notification sinks by name: webhook, slack, smtp or command (see README)
+      --hooks=<json>           Commands or modules run at preRun, preCommit, postCommit, postPush, onError, postRun (see README)
+    Notes:
+      - Settings merge as defaults < config file < environment < CLI flags.
+      - A config file with a "profiles" array manages several repositories/branches in one process.
+      - Feel the Chronos flow! -|>
+  `);
+  process.exit(0);
+}
+
+const CONTROL_COMMANDS = ['status', 'pause', 'resume', 'run-now', 'reload'];
+const COMMANDS = ['report', 'unlock', ...CONTROL_COMMANDS];
+const command = argv[0] && !argv[0].startsWith('-') ? argv[0] : null;
+if (command && !COMMANDS.includes(command)) {
+  console.error(`Unknown command "${command}" (expected one of: ${COMMANDS.join(', ')}); see --help.`);
+  process.exit(1);
+}
+
+const { status: showStatus, 'dry-run': dryRun, plan: showPlan, days = '7', format = 'table', since, until, force, ...args } = parseArgs(argv);
+const hasCLIArgs = argv.length > 0;
+const REPORT_FORMATS = ['table', 'json', 'csv'];
+
+// Wall-clock rendering of an instant in a profile's timezone
+const formatLocal = (date, timeZone) => date.toLocaleString('en-US', { timeZone });
+
+// One table row per previewed commit
+const commitRows = (profile, commits, timeZone) => commits.map((commit) => [
+  profile,
+  formatLocal(commit.at, timeZone),
+  `${commit.index}/${commit.total}`,
+  commit.message.split('\n')[0].trim(),
+  commit.files.join(', ') || '-',
+]);
+
+const COMMIT_HEADERS = ['PROFILE', 'WHEN', 'COMMIT', 'MESSAGE', 'FILES'];
+
+// Render a dry run: the commits each profile would make now, or why its pulse would idle
+const printDryRun = (fleet, results) => {
+  const rows = results.reduce((all, result) => all.concat(commitRows(result.profile, result.commits, fleet.engines.find((engine) => engine.config.PROFILE_NAME === result.profile).config.TIMEZONE)), []);
+  if (rows.length > 0) console.log(augEffects.formatTable(COMMIT_HEADERS, rows));
+  results.filter((result) => result.skipped).forEach((result) => console.log(`${result.profile}: pulse would idle (${result.skipped})`));
+  console.log('DRY RUN: nothing was written, committed or pushed.');
+};
+
+// Render a plan: every simulated commit, then a per-profile summary
+const printPlan = (fleet, results, dayCount) => {
+  const timeZoneOf = (name) => fleet.engines.find((engine) => engine.config.PROFILE_NAME === name).config.TIMEZONE;
+  const rows = results.reduce((all, { profile, pulses }) => all.concat(...pulses.map((pulse) => commitRows(profile, pulse.commits, timeZoneOf(profile)))), []);
+  if (rows.length > 0) console.log(augEffects.formatTable(COMMIT_HEADERS, rows));
+  results.forEach(({ profile, pulses }) => {
+    const commits = pulses.reduce((sum, pulse) => sum + pulse.commits.length, 0);
+    const idle = pulses.filter((pulse) => pulse.skipped).length;
+    console.log(`${profile}: ${commits} commits over ${pulses.length} pulses in ${dayCount} days (${idle} pulses idle at a commit limit)`);
+  });
+};
+
+// A lock holder for the status table: "PID 4242 on build-01", marked when stale
+const describeLock = (lock) => {
+  if (!lock) return 'free';
+  const holder = lock.pid ? `PID ${lock.pid}${lock.host ? ` on ${lock.host}` : ''}` : 'unknown';
+  return lock.stale ? `${holder} (stale)` : holder;
+};
+
+// Render the combined status view from status() rows, one row per profile
+const printStatus = (profiles) => {
+  const rows = profiles.map((profile) => [
+    profile.name,
+    profile.paused ? 'paused' : (profile.running ? 'running' : '-'),
+    profile.branch,
+    `${profile.commitCount}/${profile.dailyLimit}`,
+    profile.lastRunDate,
+    profile.nextRunAt,
+    String(profile.unpushed),
+    describeLock(profile.lock),
+    profile.repo,
+  ]);
+  console.log(augEffects.formatTable(['PROFILE', 'STATE', 'BRANCH', 'TODAY', 'LAST RUN', 'NEXT RUN', 'UNPUSHED', 'LOCK', 'REPO'], rows));
+
+  const pullRequests = profiles.filter((profile) => profile.pullRequest && profile.pullRequest.number !== null).map((profile) => [
+    profile.name,
+    `#${profile.pullRequest.number}`,
+    `${profile.pullRequest.branch} -> ${profile.branch}`,
+    profile.pullRequest.url || '-',
+  ]);
+  if (pullRequests.length > 0) {
+    console.log('');
+    console.log(augEffects.formatTable(['PROFILE', 'PULL REQUEST', 'BRANCHES', 'URL'], pullRequests));
+  }
+
+  // The daily limit already shows as TODAY; list quotas once any longer budget or minimum is set
+  const quotas = profiles.filter((profile) => profile.quotas.some((quota) => quota.period !== 'day' || quota.minimum !== null)).reduce((all, profile) => all.concat(profile.quotas.map((quota) => [
+    profile.name,
+    quota.period,
+    quota.start === quota.end ? quota.start : `${quota.start} - ${quota.end}`,
+    String(quota.used),
+    quota.limit === null ? '-' : String(quota.limit),
+    quota.remaining === null ? '-' : String(quota.remaining),
+    quota.minimum === null ? '-' : String(quota.minimum),
+  ])), []);
+  if (quotas.length > 0) {
+    console.log('');
+    console.log(augEffects.formatTable(['PROFILE', 'QUOTA', 'WINDOW', 'USED', 'LIMIT', 'REMAINING', 'MINIMUM'], quotas));
+  }
+
+  const blackouts = profiles.reduce((all, profile) => all.concat(profile.blackouts.map((blackout) => [
+    profile.name,
+    blackout.name,
+    formatLocal(new Date(blackout.start), profile.timezone),
+    formatLocal(new Date(blackout.end), profile.timezone),
+  ])), []);
+  if (blackouts.length > 0) {
+    console.log('');
+    console.log(augEffects.formatTable(['PROFILE', 'UPCOMING BLACKOUT', 'FROM', 'UNTIL'], blackouts));
+  }
+};
+
+// Render reports as terminal tables: totals and skipped pulses, then commits per day, week and hour
+const printReportTables = (reports) => {
+  console.log(augEffects.formatTable(['PROFILE', 'FROM', 'TO', 'COMMITS', 'PUSHED', 'RUNS', 'FAILED RUNS', 'LIMIT HITS', 'FAILED PUSHES'], reports.map((report) => [
+    report.profile,
+    report.from || '-',
+    report.to || '-',
+    ...['commits', 'pushed', 'runs', 'failedRuns', 'limitHits', 'failedPushes'].map((key) => String(report.totals[key])),
+  ])));
+  const reasons = Object.keys(reports[0].skipped);
+  console.log('');
+  console.log(augEffects.formatTable(['PROFILE', ...reasons.map((reason) => `SKIPPED ${reason.toUpperCase()}`)], reports.map((report) => [
+    report.profile,
+    ...reasons.map((reason) => String(report.skipped[reason])),
+  ])));
+
+  const sections = [
+    ['DAY', 'days', (day) => [day.date, String(day.commits), String(day.runs), String(day.skipped), day.limitHit ? 'yes' : '-'], ['COMMITS', 'RUNS', 'SKIPPED', 'LIMIT HIT']],
+    ['WEEK', 'weeks', (week) => [week.week, String(week.commits)], ['COMMITS']],
+    ['HOUR', 'hours', (hour) => [`${String(hour.hour).padStart(2, '0')}:00`, String(hour.commits)], ['COMMITS']],
+    ['FAILED PUSH', 'failedPushes', (push) => [push.at, push.branch, String(push.commits), push.error || '-'], ['BRANCH', 'COMMITS', 'ERROR']],
+  ];
+  sections.forEach(([label, key, toRow, headers]) => {
+    const rows = reports.reduce((all, report) => all.concat(report[key].map((item) => [report.profile, ...toRow(item)])), []);
+    if (rows.length === 0) return;
+    console.log('');
+    console.log(augEffects.formatTable(['PROFILE', label, ...headers], rows));
+  });
+};
+
+// Render reports as CSV, one "profile,section,key,value" row per figure
+const printReportCsv = (reports) => {
+  const quote = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+  const rows = [['profile', 'section', 'key', 'value']];
+  reports.forEach((report) => {
+    Object.keys(report.totals).forEach((key) => rows.push([report.profile, 'total', key, report.totals[key]]));
+    Object.keys(report.skipped).forEach((reason) => rows.push([report.profile, 'skipped', reason, report.skipped[reason]]));
+    report.days.forEach((day) => rows.push([report.profile, 'day', day.date, day.commits]));
+    report.days.filter((day) => day.limitHit).forEach((day) => rows.push([report.profile, 'limit-hit', day.date, 1]));
+    report.weeks.forEach((week) => rows.push([report.profile, 'week', week.week, week.commits]));
+    report.hours.forEach((hour) => rows.push([report.profile, 'hour', hour.hour, hour.commits]));
+    report.failedPushes.forEach((push) => rows.push([report.profile, 'failed-push', push.at, push.commits]));
+  });
+  console.log(rows.map((row) => row.map(quote).join(',')).join('\n'));
+};
+
+// One line per profile for a control command's answer
+const printControl = (action, results) => results.forEach((result) => {
+  if (action === 'pause') console.log(`${result.profile}: paused since ${result.paused.at}`);
+  if (action === 'resume') console.log(`${result.profile}: resumed`);
+  if (action === 'run-now') console.log(`${result.profile}: ${result.skipped ? `pulse idled (${result.skipped})` : `${result.commits.length} commits`}`);
+  if (action === 'reload') {
+    console.log(`${result.profile}: ${result.changed.length > 0 ? `updated ${result.changed.join(', ')}` : 'nothing changed'}`);
+    if (result.restart.length > 0) console.log(`${result.profile}: ${result.restart.join(', ')} only change on restart`);
+  }
+});
+
+// Run a control command against the daemon listening on the first profile's control socket. Without one,
+// status shows the saved state and pause/resume change the tracker directly; run-now and reload need it.
+const runControl = async (fleet, action, profile) => {
+  const socket = fleet.engines[0].config.CONTROL_SOCKET;
+  const query = profile ? `?profile=${encodeURIComponent(profile)}` : '';
+  try {
+    const { code, body } = await requestControl(socket, action === 'status' ? 'GET' : 'POST', `/${action}${query}`);
+    if (code >= 400) throw new ChronosError(body.error, body.code || 'CHRONOS_CONTROL');
+    if (action === 'status') printStatus(body.profiles.map((entry) => entry.status));
+    else printControl(action, body.profiles);
+  } catch (error) {
+    if (error.code !== 'CHRONOS_CONTROL' || ['run-now', 'reload'].includes(action)) throw error;
+    await augEffects.logWarning(`${error.message} Using the saved state instead.`);
+    if (action === 'status') printStatus(await fleet.status());
+    else printControl(action, await fleet[action](profile ? profile.split(',') : null));
+  }
+};
+
+// Main execution block with interactive menu integration
+(async () => {
+  // Machine-readable reports go to stdout untouched
+  if (command !== 'report' || format === 'table') console.log(augEffects.formatStartup());
+
+  // Interactive menu only if no CLI arguments are provided and no profiles are configured
+  let options = args;
+  if (!hasCLIArgs) {
+    let defaults;
+    try {
+      defaults = usesProfiles(args, process.env) ? null : resolveConfig(args, process.env);
+    } catch (error) {
+      await augEffects.logError(error.message);
+      process.exit(1);
+    }
+    try {
+      if (defaults) {
+        const interactiveParams = await augEffects.interactiveConfig(defaults);
+        options = { ...args, ...interactiveParams };
+      }
+    } catch (error) {
+      await augEffects.logError('CONFIGURATION ABORTED: User terminated process');
+      process.exit(0);
+    }
+  }
+
+  let chronos;
+  try {
+    chronos = createFleet(options, { env: process.env, display: true });
+  } catch (error) {
+    await augEffects.logError(error.message);
+    process.exit(1);
+  }
+
+  if (showStatus) {
+    printStatus(await chronos.status());
+    process.exit(0);
+  }
+
+  if (CONTROL_COMMANDS.includes(command)) {
+    try {
+      await runControl(chronos, command, options.profile);
+      process.exit(0);
+    } catch (error) {
+      await augEffects.logError(error.message);
+      process.exit(1);
+    }
+  }
+
+  if (command === 'unlock') {
+    try {
+      (await chronos.unlock({ force: Boolean(force) })).forEach((result) => {
+        if (!result.removed) console.log(`${result.profile}: ${result.lockFile} is not locked`);
+        else console.log(`${result.profile}: removed the lock of ${describeLock(result.holder)} (${result.stale || 'forced'})`);
+      });
+      process.exit(0);
+    } catch (error) {
+      await augEffects.logError(error.message);
+      process.exit(1);
+    }
+  }
+
+  if (command === 'report') {
+    const badDate = [['since', since], ['until', until]].find(([, value]) => value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+    if (!REPORT_FORMATS.includes(format) || badDate) {
+      const message = badDate
+        ? `cli --${badDate[0]} must be a YYYY-MM-DD date (got ${JSON.stringify(badDate[1])})`
+        : `cli --format must be one of ${REPORT_FORMATS.join(', ')} (got ${JSON.stringify(format)})`;
+      await augEffects.logError(`CONFIG CORE ERROR: ${message}!`);
+      process.exit(1);
+    }
+    try {
+      const reports = await chronos.report({ since, until });
+      if (format === 'json') console.log(JSON.stringify(reports, null, 2));
+      else if (format === 'csv') printReportCsv(reports);
+      else printReportTables(reports);
+      process.exit(0);
+    } catch (error) {
+      await augEffects.logError(error.message);
+      process.exit(1);
+    }
+  }
+
+  if (dryRun || showPlan) {
+    const dayCount = Number(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1) {
+      await augEffects.logError(`CONFIG CORE ERROR: cli --days must be a positive integer (got ${JSON.stringify(days)})!`);
+      process.exit(1);
+    }
+    try {
+      if (showPlan) {
+        printPlan(chronos, await chronos.plan({ days: dayCount }), dayCount);
+      } else {
+        printDryRun(chronos, await chronos.dryRun());
+      }
+      process.exit(0);
+    } catch (error) {
+      await augEffects.logError(error.message);
+      process.exit(1);
+    }
+  }
+
+  // ========================
+  // |> Graceful Shutdown <|
+  // ========================
+  let isShuttingDown = false;
+
+  const gracefulShutdown = async (exitCode = 0) => {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    try {
+      await chronos.stop();
+    } catch (error) {
+      // stop() already logged the cleanup failure
+    } finally {
+      console.log(augEffects.formatShutdown());
+      process.exit(exitCode);
+    }
+  };
+
+  process.on('SIGINT', () => gracefulShutdown(0));
+  process.on('SIGTERM', () => gracefulShutdown(0));
+  // reload() logs its own failure and leaves the running config in place
+  process.on('SIGHUP', () => chronos.reload().catch(() => {}));
+
+  // A failed pulse is fatal for a single-profile CLI; with several profiles the others keep running
+  chronos.on('error', () => {
+    if (chronos.engines.length === 1) gracefulShutdown(1);
+  });
+
+  try {
+    await chronos.start();
+  } catch (error) {
+    if (!(error instanceof ChronosError)) {
+      await chronos.engines[0].logger.error(`SYSTEM OVERLOAD: Critical failure! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+    }
+    await gracefulShutdown(1);
+  }
+})();
@@ -2,15 +2,11 @@
 // |> Terminal Effects for Git Chronos <|
 // ===================================================================
 // Professional terminal visuals for Git Chronos.
-// Features: basic coloring, spinners, progress bars.
+// Features: basic coloring, spinners, progress bars, aligned tables.
 // Yellow for functional pauses, red for errors, green for success.
 // Optimized for reliability with strict ANSI color management.
 
 const { createInterface } = require('readline');
-const { appendFile, stat } = require('fs');
-const { promisify } = require('util');
-const appendFileAsync = promisify(appendFile);
-const statAsync = promisify(stat);
 
 // =======================
 // |> ANSI Color Codes <|
@@ -61,6 +57,9 @@ const display = (message, type = 'info') => {
     case 'warning':
       segments.push([COLORS.YELLOW, '[!]'], [COLORS.YELLOW, `  ${highlighted}`]);
       break;
+    case 'debug':
+      segments.push([COLORS.CYAN, '[.]'], [COLORS.CYAN, `  ${highlighted}`]);
+      break;
     case 'info':
     default:
       segments.push([COLORS.CYAN, SPINNER[spinnerIndex]], [COLORS.GREEN, ` ${highlighted}`]);
@@ -84,22 +83,24 @@ const progressBar = (current, total) => {
   ]);
 };
 
-// =============================
-// |> Logging Infrastructure <|
-// =============================
-const logToFile = async (message, logFile, type = 'info') => {
-  if (!logFile) return;
-  const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
-  const cleanMessage = message.replace(/\x1b\[\d+m/g, '');
-  const logEntry = `[${timestamp}] ${type.toUpperCase()}: ${cleanMessage}\n`;
-  try {
-    if (!(await statAsync(logFile).catch(() => false))) {
-      await appendFileAsync(logFile, '');
-    }
-    await appendFileAsync(logFile, logEntry);
-  } catch (error) {
-    console.error(format([[COLORS.RED, '[-]'], [COLORS.RED, ` LOG ERROR: ${error.message}`]]));
-  }
+// ========================
+// |> Table Renderer <|
+// ========================
+// Aligned columns for status views; widths ignore ANSI codes inside cells
+const stripAnsi = (text) => String(text).replace(/\x1b\[\d+m/g, '');
+
+const table = (headers, rows) => {
+  const cellText = (cell) => (cell === undefined || cell === null ? '-' : String(cell));
+  const widths = headers.map((header, col) => Math.max(header.length, ...rows.map((row) => stripAnsi(cellText(row[col])).length)));
+  const line = (cells, color) => format(cells.map((cell, col) => {
+    const text = cellText(cell);
+    return [color, `${text}${' '.repeat(widths[col] - stripAnsi(text).length)}  `];
+  }));
+  return [
+    line(headers, COLORS.CYAN),
+    format([[COLORS.CYAN, widths.map((width) => '─'.repeat(width)).join('  ')]]),
+    ...rows.map((row) => line(row, COLORS.GREEN)),
+  ].join('\n');
 };
 
 // =============================================
@@ -260,19 +261,20 @@ const interactiveConfig = async (currentConfig) => {
 // =========================
 // |> Exported Interface <|
 // =========================
-// Maintains original exports with added configuration capability
+// Maintains original exports with added configuration capability. The log* helpers are the console
+// sink only; files are written by the engine's logger (lib/logger.js).
 module.exports = {
-  logOperation: async (message, logFile) => {
+  logOperation: async (message) => {
     console.log(display(message, 'success'));
-    await logToFile(message, logFile, 'info');
   },
-  logError: async (message, logFile) => {
+  logError: async (message) => {
     console.log(display(message, 'error'));
-    await logToFile(message, logFile, 'error');
   },
-  logWarning: async (message, logFile) => {
+  logWarning: async (message) => {
     console.log(display(message, 'warning'));
-    await logToFile(message, logFile, 'warn');
+  },
+  logDebug: async (message) => {
+    console.log(display(message, 'debug'));
   },
   formatStartup: () => format([[COLORS.GREEN, 'Git Chronos: Starting Chronos Sequence']]),
   formatShutdown: () => format([[COLORS.GREEN, 'Git Chronos: Chronos Flow Terminated']]),
@@ -286,5 +288,6 @@ module.exports = {
     [COLORS.BLUE, 'Synced'],
     [COLORS.RESET, ` ${new Date().toLocaleTimeString()}`]
   ]),
+  formatTable: table,
   interactiveConfig // NEW EXPORT
 };
\ No newline at end of file
@@ -0,0 +1,204 @@
+// ===================================================================
+// |> Blackout Calendar for Git Chronos <|
+// ===================================================================
+// Loads holidays and freeze periods from an iCalendar (.ics) file or a
+// JSON list, and answers "is this instant blacked out?" in the engine's
+// timezone. Dates without a time (all-day entries, JSON dates) and
+// floating ICS times are wall-clock times in CONFIG.TIMEZONE.
+//
+// JSON format: an array (or { "blackouts": [...] }) of
+//   "2026-12-25"                                        one whole day
+//   { "date": "2026-12-25", "name": "Christmas" }       one named day
+//   { "from": "2026-12-20", "to": "2027-01-02", "name": "Freeze" }
+// "to" is inclusive for dates; "YYYY-MM-DDTHH:MM" values mark exact times.
+
+const { readFileSync } = require('fs');
+const { extname } = require('path');
+const { wallToInstant } = require('./schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences of recurring ICS events are expanded this far around load time
+const EXPAND_PAST_YEARS = 1;
+const EXPAND_FUTURE_YEARS = 5;
+const MAX_OCCURRENCES = 1000;
+
+// =========================
+// |> Wall-Clock Values <|
+// =========================
+// A value is { y, m, d, h, mi, zone } where zone is 'UTC', an IANA name, or null for
+// the calendar's default timezone; `allDay` marks date-only values.
+
+// Add whole days / months / years to a wall value without touching its time of day
+const shiftWall = (value, unit, amount) => {
+  const date = new Date(Date.UTC(value.y, value.m - 1, value.d));
+  if (unit === 'day') date.setUTCDate(date.getUTCDate() + amount);
+  if (unit === 'month') date.setUTCMonth(date.getUTCMonth() + amount);
+  if (unit === 'year') date.setUTCFullYear(date.getUTCFullYear() + amount);
+  return { ...value, y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate() };
+};
+
+// Resolve a wall value to an instant (ms)
+const toInstant = (value, timeZone) => {
+  if (value.zone === 'UTC') return Date.UTC(value.y, value.m - 1, value.d, value.h, value.mi);
+  return wallToInstant(value.y, value.m, value.d, value.h * 60 + value.mi, value.zone || timeZone);
+};
+
+// Parse "2026-12-25" / "2026-12-25T09:30" (JSON) into a wall value
+const parseJsonValue = (text, where) => {
+  const match = typeof text === 'string' && text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+  if (!match) throw new Error(`${where}: expected "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM", got ${JSON.stringify(text)}`);
+  const [, y, m, d, h, mi] = match;
+  return { y: Number(y), m: Number(m), d: Number(d), h: Number(h || 0), mi: Number(mi || 0), zone: null, allDay: h === undefined };
+};
+
+// Parse an ICS DATE or DATE-TIME ("20261225", "20261224T120000Z") with its TZID parameter
+const parseIcsValue = (text, params) => {
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) throw new Error(`unsupported ICS date "${text}"`);
+  const [, y, m, d, h, mi, , utc] = match;
+  const allDay = h === undefined;
+  const zone = utc ? 'UTC' : (!allDay && params.TZID) || null;
+  return { y: Number(y), m: Number(m), d: Number(d), h: Number(h || 0), mi: Number(mi || 0), zone, allDay };
+};
+
+// Parse an ICS DURATION such as "P1D", "PT2H30M" or "P1W" into days and milliseconds
+const parseIcsDuration = (text) => {
+  const match = text.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) throw new Error(`unsupported ICS duration "${text}"`);
+  const [, weeks, days, hours, minutes, seconds] = match.map((part) => Number(part || 0));
+  return { days: weeks * 7 + days, ms: ((hours * 60 + minutes) * 60 + seconds) * 1000 };
+};
+
+// ======================
+// |> Format Readers <|
+// ======================
+
+// Turn JSON entries into blackout definitions
+const readJsonCalendar = (text) => {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data && data.blackouts;
+  if (!Array.isArray(list)) throw new Error('expected an array of dates or a { "blackouts": [...] } object');
+  return list.map((entry, index) => {
+    const where = `entry ${index}`;
+    const item = typeof entry === 'string' ? { date: entry } : entry || {};
+    const from = parseJsonValue(item.date || item.from, where);
+    const to = item.to ? parseJsonValue(item.to, where) : from;
+    // Date-only ends are inclusive, so the blackout runs until the next midnight
+    const end = to.allDay ? shiftWall(to, 'day', 1) : to;
+    return { name: item.name || item.summary || 'Blackout', start: from, end, rule: null };
+  });
+};
+
+// Turn ICS VEVENTs into blackout definitions
+const readIcsCalendar = (text) => {
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  lines.forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const [name, ...paramList] = line.slice(0, colon).split(';');
+    const params = paramList.reduce((all, param) => {
+      const [key, value] = param.split('=');
+      return { ...all, [key.toUpperCase()]: value };
+    }, {});
+    current[name.toUpperCase()] = { value: line.slice(colon + 1), params };
+  });
+
+  return events
+    .filter((event) => event.DTSTART && !(event.STATUS && event.STATUS.value.toUpperCase() === 'CANCELLED'))
+    .map((event) => {
+      const start = parseIcsValue(event.DTSTART.value, event.DTSTART.params);
+      let end;
+      if (event.DTEND) {
+        end = parseIcsValue(event.DTEND.value, event.DTEND.params);
+      } else if (event.DURATION) {
+        const duration = parseIcsDuration(event.DURATION.value);
+        end = { ...shiftWall(start, 'day', duration.days), durationMs: duration.ms };
+      } else {
+        end = start.allDay ? shiftWall(start, 'day', 1) : start;
+      }
+      const summary = event.SUMMARY ? event.SUMMARY.value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ') : 'Blackout';
+      return { name: summary, start, end, rule: event.RRULE ? parseRule(event.RRULE.value) : null };
+    });
+};
+
+// Parse the RRULE subset holidays use: FREQ with INTERVAL, COUNT and UNTIL
+const parseRule = (text) => {
+  const parts = text.split(';').reduce((all, part) => {
+    const [key, value] = part.split('=');
+    return { ...all, [key.toUpperCase()]: value };
+  }, {});
+  const units = { DAILY: ['day', 1], WEEKLY: ['day', 7], MONTHLY: ['month', 1], YEARLY: ['year', 1] };
+  if (!units[parts.FREQ]) throw new Error(`unsupported RRULE frequency "${parts.FREQ}"`);
+  const unsupported = Object.keys(parts).find((key) => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+  if (unsupported) throw new Error(`unsupported RRULE part "${unsupported}"`);
+  const [unit, step] = units[parts.FREQ];
+  return {
+    unit,
+    step: step * Number(parts.INTERVAL || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : Infinity,
+    until: parts.UNTIL ? parseIcsValue(parts.UNTIL, {}) : null,
+  };
+};
+
+// =====================
+// |> Calendar Object <|
+// =====================
+
+// Expand definitions into sorted [start, end) instant ranges for the given timezone
+const expand = (definitions, timeZone, now) => {
+  const windowStart = now - EXPAND_PAST_YEARS * 366 * DAY_MS;
+  const windowEnd = now + EXPAND_FUTURE_YEARS * 366 * DAY_MS;
+  const ranges = [];
+  definitions.forEach(({ name, start, end, rule }) => {
+    const spanDays = Math.round((Date.UTC(end.y, end.m - 1, end.d) - Date.UTC(start.y, start.m - 1, start.d)) / DAY_MS);
+    const until = rule && rule.until ? toInstant(rule.until, timeZone) : Infinity;
+    for (let index = 0; index < (rule ? Math.min(rule.count, MAX_OCCURRENCES) : 1); index++) {
+      const occurrenceStart = rule ? shiftWall(start, rule.unit, rule.step * index) : start;
+      const from = toInstant(occurrenceStart, timeZone);
+      if (from > until || from > windowEnd) break;
+      const occurrenceEnd = { ...shiftWall(occurrenceStart, 'day', spanDays), h: end.h, mi: end.mi, zone: end.zone };
+      const to = toInstant(occurrenceEnd, timeZone) + (end.durationMs || 0);
+      if (to > windowStart && to > from) ranges.push({ name, start: from, end: to });
+    }
+  });
+  return ranges.sort((a, b) => a.start - b.start);
+};
+
+// Load a calendar file (.ics, or JSON otherwise) for a timezone; throws on unreadable or invalid files
+const loadCalendar = (filePath, timeZone, now = Date.now()) => {
+  const text = readFileSync(filePath, 'utf8');
+  const isIcs = extname(filePath).toLowerCase() === '.ics' || text.trimStart().startsWith('BEGIN:VCALENDAR');
+  const ranges = expand(isIcs ? readIcsCalendar(text) : readJsonCalendar(text), timeZone, now);
+
+  // Blackout covering the instant, or null
+  const findBlackout = (date = new Date()) => {
+    const instant = date.getTime();
+    const hit = ranges.find((range) => range.start <= instant && instant < range.end);
+    return hit ? { name: hit.name, start: new Date(hit.start), end: new Date(hit.end) } : null;
+  };
+
+  // Blackouts that are active now or start later, soonest first
+  const upcoming = (from = new Date(), limit = 5) => ranges
+    .filter((range) => range.end > from.getTime())
+    .slice(0, limit)
+    .map((range) => ({ name: range.name, start: new Date(range.start), end: new Date(range.end) }));
+
+  return { size: ranges.length, findBlackout, upcoming };
+};
+
+module.exports = {
+  loadCalendar,
+};
@@ -0,0 +1,515 @@
+// ===================================================================
+// |> Configuration Core for Git Chronos <|
+// ===================================================================
+// Turns config files, environment variables and CLI-style options into
+// the CONFIG object consumed by the engine, and validates it against a
+// single schema. Layers merge as: defaults < file < env < cli.
+// A config file may also list "profiles", one per repository/branch; each
+// profile layers between the file's top-level keys and the env layer.
+// Nothing in here reads process.argv or process.env directly; callers
+// pass them in so the engine stays embeddable.
+
+const { readFileSync, existsSync, statSync } = require('fs');
+const { resolve, join, dirname } = require('path');
+const { ConfigError } = require('./errors');
+const { parseSchedule } = require('./schedule');
+const { loadCalendar } = require('./calendar');
+const { BUILTIN_GENERATORS } = require('./generators');
+const { BUILTIN_PROVIDERS } = require('./providers');
+const { DISTRIBUTIONS, checkDistributionOptions } = require('./distribution');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { checkSinks } = require('./notify');
+const { checkHooks } = require('./hooks');
+const { DEFAULT_TYPES, loadMessageList, createMessageComposer } = require('./messages');
+
+// Define root directory (where package.json lives)
+const ROOT_DIR = resolve(dirname(__filename), '..');
+
+// Config file auto-discovered in the target repository
+const RC_FILE = '.gitchronosrc.json';
+const PACKAGE_KEY = 'gitChronos';
+
+// Tracker, lock and log files default to <git dir>/chronos, which git never tracks. A ".git" file
+// (linked worktree or submodule) points at the real git dir; a missing one means initGitRepo will
+// create <repo>/.git.
+const defaultStateDir = (repoDir) => {
+  const dotGit = join(repoDir, '.git');
+  try {
+    if (statSync(dotGit).isFile()) {
+      const match = readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+      if (match) return join(resolve(repoDir, match[1].trim()), 'chronos');
+    }
+  } catch (error) {
+    // No .git yet
+  }
+  return join(dotGit, 'chronos');
+};
+
+// Loose address check for identity options
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// =====================
+// |> Schema <|
+// =====================
+// One entry per CONFIG key: the option name (CLI flag / file key / library option),
+// the environment variable, the value type and its bounds. Defaults may be derived
+// from already-resolved keys, so entries are resolved in declaration order. An optional
+// `check` runs after the type check and throws to reject the value. Module entries list their
+// `builtins`, the names that are not resolved as paths.
+const SCHEMA = {
+  PROFILE_NAME: { option: 'name', type: 'string', default: 'default', pattern: /^[\w.-]+$/ },
+  REPO_DIR: { option: 'repo', env: 'REPO_DIR', type: 'path', default: () => ROOT_DIR },
+  TARGET_FILE: { option: 'targetFile', env: 'TARGET_FILE', type: 'string', default: 'bot_activity.log' },
+  GIT_BRANCH: { option: 'branch', env: 'GIT_BRANCH', type: 'string', default: 'main', pattern: /^[\w./-]+$/ },
+  TIMEZONE: { option: 'timezone', env: 'TIMEZONE', type: 'timezone', default: 'America/New_York' },
+  MIN_COMMITS: { option: 'minCommits', env: 'MIN_COMMITS', type: 'integer', default: 1, min: 1, max: 100 },
+  MAX_COMMITS: { option: 'maxCommits', env: 'MAX_COMMITS', type: 'integer', default: 10, min: 1, max: 100 },
+  DAILY_LIMIT: { option: 'dailyLimit', env: 'DAILY_LIMIT', type: 'integer', default: 15, min: 1 },
+  WEEKLY_LIMIT: { option: 'weeklyLimit', env: 'WEEKLY_LIMIT', type: 'integer', default: null, min: 1 },
+  MONTHLY_LIMIT: { option: 'monthlyLimit', env: 'MONTHLY_LIMIT', type: 'integer', default: null, min: 1 },
+  DAILY_MINIMUM: { option: 'dailyMinimum', env: 'DAILY_MINIMUM', type: 'integer', default: null, min: 1 },
+  WEEKLY_MINIMUM: { option: 'weeklyMinimum', env: 'WEEKLY_MINIMUM', type: 'integer', default: null, min: 1 },
+  MONTHLY_MINIMUM: { option: 'monthlyMinimum', env: 'MONTHLY_MINIMUM', type: 'integer', default: null, min: 1 },
+  QUOTA_WINDOW: { option: 'quotaWindow', env: 'QUOTA_WINDOW', type: 'string', default: 'calendar', pattern: /^(calendar|rolling)$/ },
+  GENERATOR: {
+    option: 'generator',
+    env: 'GENERATOR',
+    type: 'module',
+    default: 'append-line',
+    builtins: BUILTIN_GENERATORS,
+    check: (value) => {
+      if (!BUILTIN_GENERATORS.includes(value) && !existsSync(value)) throw new Error(`not a built-in (${BUILTIN_GENERATORS.join(', ')}) or an existing module`);
+    },
+  },
+  GENERATOR_OPTIONS: { option: 'generatorOptions', env: 'GENERATOR_OPTIONS', type: 'object', default: () => ({}) },
+  CONVENTIONAL: { option: 'conventional', env: 'CONVENTIONAL', type: 'boolean', default: false },
+  CONVENTIONAL_TYPES: { option: 'conventionalTypes', env: 'CONVENTIONAL_TYPES', type: 'list', default: () => DEFAULT_TYPES, pattern: /^[a-z]+$/ },
+  MESSAGE_TEMPLATE: {
+    option: 'messageTemplate',
+    env: 'MESSAGE_TEMPLATE',
+    type: 'string',
+    default: (c) => (c.CONVENTIONAL ? 'chore: update {files}' : ' -🤖- auto-commit: {timestamp}'),
+  },
+  MESSAGE_FILE: { option: 'messageFile', env: 'MESSAGE_FILE', type: 'path', default: null, check: loadMessageList },
+  MESSAGE_ORDER: { option: 'messageOrder', env: 'MESSAGE_ORDER', type: 'string', default: 'sequence', pattern: /^(sequence|random)$/ },
+  MESSAGE_BODY: { option: 'messageBody', env: 'MESSAGE_BODY', type: 'string', default: null },
+  MESSAGE_TRAILERS: {
+    option: 'messageTrailers',
+    env: 'MESSAGE_TRAILERS',
+    type: 'object',
+    default: () => ({}),
+    check: (value) => Object.keys(value).forEach((key) => {
+      if (!/^[A-Za-z][\w-]*$/.test(key)) throw new Error(`trailer key "${key}" must be a single token like "Refs"`);
+      if (typeof value[key] !== 'string' || value[key].includes('\n')) throw new Error(`trailer "${key}" must be a one-line string`);
+    }),
+  },
+  AUTHOR_NAME: { option: 'authorName', env: 'AUTHOR_NAME', type: 'string', default: null },
+  AUTHOR_EMAIL: { option: 'authorEmail', env: 'AUTHOR_EMAIL', type: 'string', default: null, pattern: EMAIL_PATTERN },
+  COMMITTER_NAME: { option: 'committerName', env: 'COMMITTER_NAME', type: 'string', default: null },
+  COMMITTER_EMAIL: { option: 'committerEmail', env: 'COMMITTER_EMAIL', type: 'string', default: null, pattern: EMAIL_PATTERN },
+  CO_AUTHORS: { option: 'coAuthors', env: 'CO_AUTHORS', type: 'list', default: null, pattern: /^[^<>,\n]+ <[^\s<>@]+@[^\s<>]+>$/ },
+  SIGN: { option: 'sign', env: 'SIGN', type: 'boolean', default: false },
+  SIGNING_FORMAT: { option: 'signingFormat', env: 'SIGNING_FORMAT', type: 'string', default: 'gpg', pattern: /^(gpg|ssh|x509)$/ },
+  SIGNING_KEY: { option: 'signingKey', env: 'SIGNING_KEY', type: 'string', default: null },
+  SEED: { option: 'seed', env: 'SEED', type: 'string', default: null, pattern: /^[\w.:#-]+$/ },
+  COMMIT_DELAY_MIN: { option: 'commitDelayMin', env: 'COMMIT_DELAY_MIN', type: 'integer', default: 1000, min: 0 },
+  COMMIT_DELAY_MAX: { option: 'commitDelayMax', env: 'COMMIT_DELAY_MAX', type: 'integer', default: 5000, min: 0 },
+  SCHEDULE_START: { option: 'scheduleStart', env: 'SCHEDULE_START', type: 'integer', default: 9, min: 0, max: 23 },
+  SCHEDULE_END: { option: 'scheduleEnd', env: 'SCHEDULE_END', type: 'integer', default: 17, min: 0, max: 23 },
+  SCHEDULE: { option: 'schedule', env: 'SCHEDULE', type: 'schedule', default: null },
+  CALENDAR: { option: 'calendar', env: 'CALENDAR', type: 'path', default: null, check: (value) => loadCalendar(value, 'UTC') },
+  ENABLE_WEEKENDS: { option: 'enableWeekends', env: 'ENABLE_WEEKENDS', type: 'boolean', default: false },
+  DISTRIBUTION: { option: 'distribution', env: 'DISTRIBUTION', type: 'string', default: 'pulse', pattern: new RegExp(`^(${DISTRIBUTIONS.join('|')})$`) },
+  DISTRIBUTION_OPTIONS: { option: 'distributionOptions', env: 'DISTRIBUTION_OPTIONS', type: 'object', default: () => ({}) },
+  REMOTE: { option: 'remote', env: 'REMOTE', type: 'string', default: 'origin', pattern: /^[\w.-]+$/ },
+  PUSH_STRATEGY: { option: 'pushStrategy', env: 'PUSH_STRATEGY', type: 'string', default: 'each', pattern: /^(each|batch|none|end-of-day)$/ },
+  SYNC: { option: 'sync', env: 'SYNC', type: 'string', default: 'rebase', pattern: /^(rebase|ff-only|none)$/ },
+  PR: { option: 'pr', env: 'PR', type: 'boolean', default: false },
+  PR_BRANCH: { option: 'prBranch', env: 'PR_BRANCH', type: 'string', default: 'chronos/{date}', pattern: /^[\w./{}-]+$/ },
+  PR_PROVIDER: {
+    option: 'prProvider',
+    env: 'PR_PROVIDER',
+    type: 'module',
+    default: 'gitea',
+    builtins: BUILTIN_PROVIDERS,
+    check: (value) => {
+      if (!BUILTIN_PROVIDERS.includes(value) && !existsSync(value)) throw new Error(`not a built-in (${BUILTIN_PROVIDERS.join(', ')}) or an existing module`);
+    },
+  },
+  PR_URL: { option: 'prUrl', env: 'PR_URL', type: 'string', default: null, pattern: /^https?:\/\/\S+$/ },
+  PR_TOKEN: { option: 'prToken', env: 'PR_TOKEN', type: 'string', default: null },
+  PR_REPO: { option: 'prRepo', env: 'PR_REPO', type: 'string', default: null, pattern: /^[\w.-]+(\/[\w.-]+)+$/ },
+  PR_TITLE: { option: 'prTitle', env: 'PR_TITLE', type: 'string', default: 'chore: chronos activity for {date}' },
+  PR_AUTO_MERGE: { option: 'prAutoMerge', env: 'PR_AUTO_MERGE', type: 'boolean', default: false },
+  PR_DELETE_BRANCH: { option: 'prDeleteBranch', env: 'PR_DELETE_BRANCH', type: 'boolean', default: false },
+  DIRTY_POLICY: { option: 'dirtyPolicy', env: 'DIRTY_POLICY', type: 'string', default: 'own-paths', pattern: /^(abort|stash|own-paths)$/ },
+  STATE_DIR: { option: 'stateDir', env: 'STATE_DIR', type: 'path', default: (c) => defaultStateDir(c.REPO_DIR) },
+  WORKTREE: { option: 'worktree', env: 'WORKTREE', type: 'boolean', default: false },
+  WORKTREE_DIR: { option: 'worktreeDir', env: 'WORKTREE_DIR', type: 'path', default: (c) => join(c.STATE_DIR, 'worktrees', c.PROFILE_NAME) },
+  COMMIT_TRACKER_FILE: { option: 'commitTrackerFile', env: 'COMMIT_TRACKER_FILE', type: 'path', default: (c) => join(c.STATE_DIR, c.PROFILE_NAME === 'default' ? 'commit_tracker.json' : `commit_tracker.${c.PROFILE_NAME}.json`) },
+  LEDGER_FILE: { option: 'ledgerFile', env: 'LEDGER_FILE', type: 'path', default: (c) => join(c.STATE_DIR, c.PROFILE_NAME === 'default' ? 'commit_ledger.jsonl' : `commit_ledger.${c.PROFILE_NAME}.jsonl`) },
+  LOCK_FILE: { option: 'lockFile', env: 'LOCK_FILE', type: 'path', default: (c) => join(c.STATE_DIR, 'git_chronos.lock') },
+  LOCK_HEARTBEAT: { option: 'lockHeartbeat', env: 'LOCK_HEARTBEAT', type: 'integer', default: 30000, min: 1000 },
+  LOCK_STALE_AFTER: { option: 'lockStaleAfter', env: 'LOCK_STALE_AFTER', type: 'integer', default: 300000, min: 1000 },
+  LOG_FILE: { option: 'logFile', env: 'LOG_FILE', type: 'path', default: (c) => join(c.STATE_DIR, 'bot_runtime.log') },
+  LOG_LEVEL: { option: 'logLevel', env: 'LOG_LEVEL', type: 'string', default: 'info', pattern: new RegExp(`^(${LOG_LEVELS.join('|')})$`) },
+  LOG_FORMAT: { option: 'logFormat', env: 'LOG_FORMAT', type: 'string', default: 'text', pattern: new RegExp(`^(${LOG_FORMATS.join('|')})$`) },
+  LOG_MAX_SIZE: { option: 'logMaxSize', env: 'LOG_MAX_SIZE', type: 'integer', default: 10 * 1024 * 1024, min: 0 },
+  LOG_MAX_AGE: { option: 'logMaxAge', env: 'LOG_MAX_AGE', type: 'integer', default: 7, min: 0 },
+  LOG_MAX_FILES: { option: 'logMaxFiles', env: 'LOG_MAX_FILES', type: 'integer', default: 5, min: 1 },
+  RETRY_ATTEMPTS: { option: 'retryAttempts', env: 'RETRY_ATTEMPTS', type: 'integer', default: 3, min: 1 },
+  RETRY_DELAY: { option: 'retryDelay', env: 'RETRY_DELAY', type: 'integer', default: 5000, min: 0 },
+  RETRY_MAX_DELAY: { option: 'retryMaxDelay', env: 'RETRY_MAX_DELAY', type: 'integer', default: 60000, min: 0 },
+  RETRY_MAX_TIME: { option: 'retryMaxTime', env: 'RETRY_MAX_TIME', type: 'integer', default: 300000, min: 0 },
+  HTTP_PORT: { option: 'httpPort', env: 'HTTP_PORT', type: 'integer', default: null, min: 1, max: 65535 },
+  HTTP_HOST: { option: 'httpHost', env: 'HTTP_HOST', type: 'string', default: '127.0.0.1', pattern: /^[\w.:-]+$/ },
+  NOTIFY: { option: 'notify', env: 'NOTIFY', type: 'object', default: () => ({}), check: checkSinks },
+  HOOKS: { option: 'hooks', env: 'HOOKS', type: 'object', default: () => ({}), check: checkHooks },
+  CONTROL_SOCKET: { option: 'controlSocket', env: 'CONTROL_SOCKET', type: 'path', default: (c) => join(c.STATE_DIR, 'git_chronos.sock') },
+};
+
+// Options that steer loading itself rather than mapping to a CONFIG key
+const LOADER_OPTIONS = ['config', 'profiles', 'profile'];
+
+const OPTION_KEYS = Object.keys(SCHEMA).reduce((map, key) => ({ ...map, [SCHEMA[key].option]: key }), {});
+
+// Describe where a key came from, e.g. "cli --minCommits" or "env MIN_COMMITS"
+const describeKey = (key, source) => {
+  const { option, env } = SCHEMA[key];
+  if (!source) return `config ${key}`;
+  if (source === 'cli') return `cli --${option}`;
+  if (source === 'env' && env) return `env ${env}`;
+  if (source === 'defaults') return `defaults ${option}`;
+  return `${source} "${option}"`;
+};
+
+// =====================
+// |> Type Coercion <|
+// =====================
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Convert a raw layer value to the schema type; invalid input is left for validateConfig to report
+const coerce = (key, value, baseDir) => {
+  const { type } = SCHEMA[key];
+  switch (type) {
+    case 'integer':
+      return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return typeof value === 'string' && value.toLowerCase() in BOOLEAN_VALUES ? BOOLEAN_VALUES[value.toLowerCase()] : value;
+    case 'path':
+      return typeof value === 'string' && value !== '' ? resolve(baseDir, value) : value;
+    case 'string':
+      return typeof value === 'number' ? String(value) : value;
+    case 'schedule':
+      return Array.isArray(value) ? value.join('; ') : value;
+    case 'module':
+      return typeof value === 'string' && value !== '' && !SCHEMA[key].builtins.includes(value) ? resolve(baseDir, value) : value;
+    case 'list':
+      return typeof value === 'string' ? value.split(',').map((item) => item.trim()).filter(Boolean) : value;
+    case 'object':
+      try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+      } catch (error) {
+        return value;
+      }
+    default:
+      return value;
+  }
+};
+
+// Check a single value against its schema entry and custom check, returning a problem description or null
+const checkValue = (key, value) => {
+  const problem = checkType(key, value);
+  if (problem || value === null || !SCHEMA[key].check) return problem;
+  try {
+    SCHEMA[key].check(value);
+    return null;
+  } catch (error) {
+    return `is invalid: ${error.message}`;
+  }
+};
+
+// Check a value against its schema type and bounds
+const checkType = (key, value) => {
+  const { type, min, max } = SCHEMA[key];
+  if (value === null && SCHEMA[key].default === null) return null;
+  switch (type) {
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isInteger(value)) return `must be an integer (got ${JSON.stringify(value)})`;
+      if (min !== undefined && value < min) return `must be >= ${min} (got ${value})`;
+      if (max !== undefined && value > max) return `must be <= ${max} (got ${value})`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false (got ${JSON.stringify(value)})`;
+    case 'timezone':
+      if (typeof value !== 'string' || value === '') return `must be an IANA timezone name (got ${JSON.stringify(value)})`;
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return null;
+      } catch (error) {
+        return `must be an IANA timezone name (got ${JSON.stringify(value)})`;
+      }
+    case 'list':
+      if (!Array.isArray(value) || value.length === 0 || value.some((item) => typeof item !== 'string')) {
+        return `must be a comma-separated list (got ${JSON.stringify(value)})`;
+      }
+      if (SCHEMA[key].pattern && value.some((item) => !SCHEMA[key].pattern.test(item))) return `items must match ${SCHEMA[key].pattern} (got ${JSON.stringify(value)})`;
+      return null;
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : `must be a JSON object (got ${JSON.stringify(value)})`;
+    case 'schedule':
+      if (typeof value !== 'string' || value.trim() === '') return `must be a cron expression or weekday window list (got ${JSON.stringify(value)})`;
+      try {
+        parseSchedule(value, 'UTC');
+        return null;
+      } catch (error) {
+        return `is not a valid schedule: ${error.message}`;
+      }
+    default:
+      if (typeof value !== 'string' || value === '') return `must be a non-empty string (got ${JSON.stringify(value)})`;
+      if (SCHEMA[key].pattern && !SCHEMA[key].pattern.test(value)) return `must match ${SCHEMA[key].pattern} (got ${JSON.stringify(value)})`;
+      return null;
+  }
+};
+
+// =====================
+// |> Layer Loading <|
+// =====================
+
+// Parse CLI arguments with support for --key=value format
+const parseArgs = (argv = []) => {
+  const args = {};
+  argv.forEach((arg) => {
+    if (arg.startsWith('--')) {
+      const [key, ...rest] = arg.slice(2).split('=');
+      args[key] = rest.length > 0 ? rest.join('=') : true;
+    }
+  });
+  return args;
+};
+
+// Read a JSON file, reporting parse failures against the file path
+const readJson = (filePath) => {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`CONFIG FILE ERROR: Couldn’t read ${filePath}! ${error.message}`, null, filePath, error);
+  }
+};
+
+// Locate the config file layer: an explicit --config path, else .gitchronosrc.json or a
+// "gitChronos" key in package.json inside the target repository. Pass config: false to skip.
+const findConfigFile = (args, env) => {
+  if (args.config === false) return null;
+  if (typeof args.config === 'string') {
+    const filePath = resolve(args.config);
+    if (!existsSync(filePath)) {
+      throw new ConfigError(`CONFIG FILE ERROR: ${filePath} does not exist!`, 'config', 'cli --config');
+    }
+    return { source: filePath, baseDir: dirname(filePath), values: readJson(filePath) };
+  }
+
+  const repoDir = resolve(args.repo || env.REPO_DIR || ROOT_DIR);
+  const rcPath = join(repoDir, RC_FILE);
+  if (existsSync(rcPath)) {
+    return { source: rcPath, baseDir: repoDir, values: readJson(rcPath) };
+  }
+  const packagePath = join(repoDir, 'package.json');
+  if (existsSync(packagePath)) {
+    const pkg = readJson(packagePath);
+    if (pkg && pkg[PACKAGE_KEY] !== undefined) {
+      return { source: `${packagePath}#${PACKAGE_KEY}`, baseDir: repoDir, values: pkg[PACKAGE_KEY] };
+    }
+  }
+  return null;
+};
+
+// Map an option-keyed object (CLI args, file contents, library options) onto CONFIG keys
+const fromOptions = (values, source) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError(`CONFIG FILE ERROR: ${source} must contain a JSON object!`, null, source);
+  }
+  const mapped = {};
+  Object.keys(values).forEach((option) => {
+    if (LOADER_OPTIONS.includes(option)) return;
+    const key = OPTION_KEYS[option];
+    if (!key) {
+      const name = source === 'cli' ? `--${option}` : `"${option}"`;
+      throw new ConfigError(`CONFIG CORE ERROR: ${source} sets unknown option ${name}!`, option, source);
+    }
+    mapped[key] = values[option];
+  });
+  return mapped;
+};
+
+// Pick the schema's environment variables out of an env object
+const fromEnv = (env) => Object.keys(SCHEMA).reduce((mapped, key) => {
+  if (SCHEMA[key].env && env[SCHEMA[key].env] !== undefined && env[SCHEMA[key].env] !== '') mapped[key] = env[SCHEMA[key].env];
+  return mapped;
+}, {});
+
+// Merge every layer over the defaults, tracking which source supplied each key
+const resolveLayers = (args = {}, env = {}, { file = findConfigFile(args, env), profile = null } = {}) => {
+  const layers = [
+    file && { source: file.source, baseDir: file.baseDir, values: fromOptions(file.values, file.source) },
+    profile && { source: profile.source, baseDir: profile.baseDir, values: fromOptions(profile.values, profile.source) },
+    { source: 'env', baseDir: process.cwd(), values: fromEnv(env) },
+    { source: 'cli', baseDir: process.cwd(), values: fromOptions(args, 'cli') },
+  ].filter(Boolean);
+
+  const config = {};
+  const sources = {};
+  Object.keys(SCHEMA).forEach((key) => {
+    const layer = layers.slice().reverse().find((candidate) => candidate.values[key] !== undefined);
+    if (layer) {
+      config[key] = coerce(key, layer.values[key], layer.baseDir);
+      sources[key] = layer.source;
+    } else {
+      const fallback = SCHEMA[key].default;
+      config[key] = typeof fallback === 'function' ? fallback(config) : fallback;
+      sources[key] = 'defaults';
+    }
+  });
+  return { config, sources };
+};
+
+// =====================
+// |> Validation <|
+// =====================
+
+// Validate a resolved configuration, throwing a ConfigError naming the source and key of the first problem
+const validateConfig = (config, sources = {}) => {
+  Object.keys(SCHEMA).forEach((key) => {
+    const problem = checkValue(key, config[key]);
+    if (problem) {
+      throw new ConfigError(`CONFIG CORE ERROR: ${describeKey(key, sources[key])} ${problem}!`, key, sources[key]);
+    }
+  });
+
+  // Blame the explicitly set side of a cross-field rule so the message points at something the user wrote
+  const fail = (keys, message) => {
+    const key = keys.find((candidate) => sources[candidate] && sources[candidate] !== 'defaults') || keys[0];
+    throw new ConfigError(`${message} (${describeKey(key, sources[key])})`, key, sources[key]);
+  };
+  if (config.SCHEDULE_START >= config.SCHEDULE_END) {
+    fail(['SCHEDULE_START', 'SCHEDULE_END'], `TIME SYNC ERROR: SCHEDULE_START (${config.SCHEDULE_START}) must be before SCHEDULE_END (${config.SCHEDULE_END})!`);
+  }
+  if (config.COMMIT_DELAY_MAX < config.COMMIT_DELAY_MIN) {
+    fail(['COMMIT_DELAY_MIN', 'COMMIT_DELAY_MAX'], `DELAY CORE ERROR: COMMIT_DELAY_MAX (${config.COMMIT_DELAY_MAX}) must be >= COMMIT_DELAY_MIN (${config.COMMIT_DELAY_MIN})!`);
+  }
+  if (config.LOCK_STALE_AFTER < 2 * config.LOCK_HEARTBEAT) {
+    fail(['LOCK_STALE_AFTER', 'LOCK_HEARTBEAT'], `LOCK CORE ERROR: LOCK_STALE_AFTER (${config.LOCK_STALE_AFTER}) must be at least twice LOCK_HEARTBEAT (${config.LOCK_HEARTBEAT})!`);
+  }
+  [['DAILY_MINIMUM', 'DAILY_LIMIT'], ['WEEKLY_MINIMUM', 'WEEKLY_LIMIT'], ['MONTHLY_MINIMUM', 'MONTHLY_LIMIT']].forEach(([minimum, limit]) => {
+    if (config[minimum] !== null && config[limit] !== null && config[minimum] > config[limit]) {
+      fail([minimum, limit], `QUOTA CORE ERROR: ${minimum} (${config[minimum]}) must be <= ${limit} (${config[limit]})!`);
+    }
+  });
+  try {
+    checkDistributionOptions(config.DISTRIBUTION, config.DISTRIBUTION_OPTIONS);
+  } catch (error) {
+    fail(['DISTRIBUTION_OPTIONS', 'DISTRIBUTION'], `DISTRIBUTION CORE ERROR: ${error.message}!`);
+  }
+  if (config.MAX_COMMITS < config.MIN_COMMITS) {
+    fail(['MIN_COMMITS', 'MAX_COMMITS'], `COMMIT CORE ERROR: MAX_COMMITS (${config.MAX_COMMITS}) must be >= MIN_COMMITS (${config.MIN_COMMITS})!`);
+  }
+  if (config.DAILY_LIMIT < config.MIN_COMMITS) {
+    fail(['DAILY_LIMIT', 'MIN_COMMITS'], `COMMIT CORE ERROR: DAILY_LIMIT (${config.DAILY_LIMIT}) must be >= MIN_COMMITS (${config.MIN_COMMITS})!`);
+  }
+  if (config.PR && BUILTIN_PROVIDERS.includes(config.PR_PROVIDER) && !config.PR_URL) {
+    fail(['PR_URL', 'PR'], `PULL REQUEST CORE ERROR: PR_URL must name the ${config.PR_PROVIDER} server when PR mode is on!`);
+  }
+  if (config.PR && config.PR_BRANCH === config.GIT_BRANCH) {
+    fail(['PR_BRANCH', 'GIT_BRANCH'], `PULL REQUEST CORE ERROR: PR_BRANCH must differ from GIT_BRANCH (${config.GIT_BRANCH}), the branch pull requests target!`);
+  }
+  if (config.RETRY_MAX_DELAY < config.RETRY_DELAY) {
+    fail(['RETRY_DELAY', 'RETRY_MAX_DELAY'], `RETRY CORE ERROR: RETRY_MAX_DELAY (${config.RETRY_MAX_DELAY}) must be >= RETRY_DELAY (${config.RETRY_DELAY})!`);
+  }
+  try {
+    createMessageComposer({
+      template: config.MESSAGE_TEMPLATE,
+      file: config.MESSAGE_FILE,
+      conventional: config.CONVENTIONAL,
+      types: config.CONVENTIONAL_TYPES,
+    });
+  } catch (error) {
+    fail(['MESSAGE_FILE', 'MESSAGE_TEMPLATE', 'CONVENTIONAL'], `MESSAGE CORE ERROR: ${error.message}!`);
+  }
+  return config;
+};
+
+// Collect the profile list from library options or the config file, or null for single-repo mode
+const findProfiles = (args, file) => {
+  if (args.profiles !== undefined) {
+    return { list: args.profiles, source: 'options profiles', baseDir: process.cwd() };
+  }
+  if (file && file.values && file.values.profiles !== undefined) {
+    return { list: file.values.profiles, source: `${file.source} profiles`, baseDir: file.baseDir };
+  }
+  return null;
+};
+
+// Report whether the given options resolve to a multi-profile setup
+const usesProfiles = (args = {}, env = {}) => findProfiles(args, findConfigFile(args, env)) !== null;
+
+// Build and validate one CONFIG per profile. Without profiles this is a single-element list;
+// `profile` (a name or comma-separated names) narrows the list.
+const loadProfiles = (args = {}, env = {}) => {
+  const file = findConfigFile(args, env);
+  const profiles = findProfiles(args, file);
+  if (!profiles) return [loadConfig(args, env)];
+
+  if (!Array.isArray(profiles.list) || profiles.list.length === 0) {
+    throw new ConfigError(`CONFIG CORE ERROR: ${profiles.source} must be a non-empty array!`, 'profiles', profiles.source);
+  }
+  const configs = profiles.list.map((values, index) => {
+    const source = `${profiles.source}[${index}]`;
+    if (!values || typeof values.name !== 'string') {
+      throw new ConfigError(`CONFIG CORE ERROR: ${source} needs a "name"!`, 'name', source);
+    }
+    const { config, sources } = resolveLayers(args, env, { file, profile: { source, baseDir: profiles.baseDir, values } });
+    return validateConfig(config, sources);
+  });
+
+  const seen = {};
+  configs.forEach((config) => {
+    const target = `${config.REPO_DIR}@${config.GIT_BRANCH}`;
+    if (seen[config.PROFILE_NAME]) {
+      throw new ConfigError(`CONFIG CORE ERROR: Profile name "${config.PROFILE_NAME}" is used twice!`, 'name', profiles.source);
+    }
+    if (seen[target]) {
+      throw new ConfigError(`CONFIG CORE ERROR: Profiles "${seen[target]}" and "${config.PROFILE_NAME}" both target ${target}!`, 'repo', profiles.source);
+    }
+    seen[config.PROFILE_NAME] = true;
+    seen[target] = config.PROFILE_NAME;
+  });
+
+  if (typeof args.profile !== 'string') return configs;
+  const wanted = args.profile.split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = wanted.find((name) => !configs.some((config) => config.PROFILE_NAME === name));
+  if (unknown) {
+    throw new ConfigError(`CONFIG CORE ERROR: cli --profile names unknown profile "${unknown}"!`, 'profile', 'cli');
+  }
+  return configs.filter((config) => wanted.includes(config.PROFILE_NAME));
+};
+
+// Build configuration without validating it (used for wizard defaults)
+const resolveConfig = (args = {}, env = {}) => resolveLayers(args, env).config;
+
+// Build and validate configuration from every layer
+const loadConfig = (args = {}, env = {}) => {
+  const { config, sources } = resolveLayers(args, env);
+  return validateConfig(config, sources);
+};
+
+module.exports = {
+  ROOT_DIR,
+  SCHEMA,
+  parseArgs,
+  resolveConfig,
+  validateConfig,
+  loadConfig,
+  loadProfiles,
+  usesProfiles,
+};
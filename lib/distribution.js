@@ -0,0 +1,84 @@
+// ===================================================================
+// |> Time-of-Day Distributions for Git Chronos <|
+// ===================================================================
+// Spreads a day's commits over the minutes the schedule is active:
+//   pulse       no day plan; each pulse commits back-to-back (the classic mode)
+//   uniform     every active minute is equally likely
+//   weighted    minutes weighted by hour: { weights: { "9": 1, "14": 3 } };
+//               hours left out weigh nothing
+//   clustered   commits gather around a few random sessions:
+//               { sessions: 3, spread: 20 } (spread in minutes around each center)
+// Candidates are { at, hour } entries, one per active minute in time order.
+// Planned times get a random second within their minute.
+
+const DISTRIBUTIONS = ['pulse', 'uniform', 'weighted', 'clustered'];
+
+const DEFAULT_SESSIONS = 3;
+const DEFAULT_SPREAD = 20;
+
+// Throw on options that don't fit the distribution
+const checkDistributionOptions = (distribution, options = {}) => {
+  const allowed = { pulse: [], uniform: [], weighted: ['weights'], clustered: ['sessions', 'spread'] }[distribution];
+  const unknown = Object.keys(options).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) throw new Error(`${distribution} takes ${allowed.length > 0 ? allowed.join(', ') : 'no options'}, not ${unknown.join(', ')}`);
+  if (distribution === 'weighted') {
+    const { weights } = options;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) throw new Error('weighted needs "weights", an object of hour (0-23) -> weight');
+    Object.keys(weights).forEach((hour) => {
+      if (!/^\d{1,2}$/.test(hour) || Number(hour) > 23) throw new Error(`weight hour "${hour}" must be 0-23`);
+      if (typeof weights[hour] !== 'number' || !(weights[hour] >= 0)) throw new Error(`weight for hour ${hour} must be a number >= 0`);
+    });
+    if (!Object.keys(weights).some((hour) => weights[hour] > 0)) throw new Error('weighted needs at least one hour with a weight above 0');
+  }
+  if (distribution === 'clustered') {
+    const { sessions = DEFAULT_SESSIONS, spread = DEFAULT_SPREAD } = options;
+    if (!Number.isInteger(sessions) || sessions < 1) throw new Error(`clustered "sessions" must be a positive integer (got ${JSON.stringify(sessions)})`);
+    if (typeof spread !== 'number' || !(spread >= 0)) throw new Error(`clustered "spread" must be a number of minutes >= 0 (got ${JSON.stringify(spread)})`);
+  }
+};
+
+// Index of a weighted pick; null when every weight is 0
+const pickWeighted = (weights, random) => {
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  if (sum === 0) return null;
+  let target = random() * sum;
+  const index = weights.findIndex((weight) => {
+    target -= weight;
+    return target < 0;
+  });
+  return index === -1 ? weights.length - 1 : index;
+};
+
+// Candidate indexes for `total` commits
+const PICKERS = {
+  uniform: (candidates, total, random) => Array.from({ length: total }, () => Math.floor(random() * candidates.length)),
+  weighted: (candidates, total, random, { weights }) => {
+    const minuteWeights = candidates.map((candidate) => weights[candidate.hour] || 0);
+    // The weighted hours may all fall outside today's active minutes
+    if (pickWeighted(minuteWeights, () => 0) === null) return PICKERS.uniform(candidates, total, random);
+    return Array.from({ length: total }, () => pickWeighted(minuteWeights, random));
+  },
+  clustered: (candidates, total, random, { sessions = DEFAULT_SESSIONS, spread = DEFAULT_SPREAD }) => {
+    const centers = Array.from({ length: sessions }, () => Math.floor(random() * candidates.length));
+    return Array.from({ length: total }, () => {
+      const center = centers[Math.floor(random() * centers.length)];
+      // Sum of three uniforms: bell-shaped, within `spread` active minutes of the center
+      const offset = Math.round(((random() + random() + random()) / 1.5 - 1) * spread);
+      return Math.min(candidates.length - 1, Math.max(0, center + offset));
+    });
+  },
+};
+
+// Sorted commit times for the day; fewer than `total` only when there are no candidates
+const planTimes = (distribution, candidates, total, random, options = {}) => {
+  if (candidates.length === 0 || total <= 0) return [];
+  return PICKERS[distribution](candidates, total, random, options)
+    .map((index) => new Date(candidates[index].at.getTime() + Math.floor(random() * 60000)))
+    .sort((a, b) => a - b);
+};
+
+module.exports = {
+  DISTRIBUTIONS,
+  checkDistributionOptions,
+  planTimes,
+};
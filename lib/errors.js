@@ -0,0 +1,93 @@
+// ===================================================================
+// |> Error Types for Git Chronos <|
+// ===================================================================
+// Typed errors thrown by the commit engine instead of exiting the process.
+// Every error carries a stable `code` so embedders can branch on it.
+
+// Base class for every error raised by the engine
+class ChronosError extends Error {
+  constructor(message, code = 'CHRONOS_ERROR', cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Invalid or inconsistent configuration values; `source` names the layer (cli, env, file path)
+class ConfigError extends ChronosError {
+  constructor(message, key, source, cause) {
+    super(message, 'CHRONOS_CONFIG', cause);
+    this.key = key;
+    this.source = source;
+  }
+}
+
+// Another instance owns the lock, or the lock could not be written
+class LockError extends ChronosError {
+  constructor(message, cause) {
+    super(message, 'CHRONOS_LOCK', cause);
+  }
+}
+
+// Pre-run diagnostics failed
+class HealthCheckError extends ChronosError {
+  constructor(message, cause) {
+    super(message, 'CHRONOS_HEALTH', cause);
+  }
+}
+
+// A git command failed after all retries; `kind` is how the failure was classified
+// (transient, auth, non-fast-forward or fatal), or null when it wasn't a git command failure
+class GitError extends ChronosError {
+  constructor(message, cause, kind = null) {
+    super(message, 'CHRONOS_GIT', cause);
+    this.kind = kind;
+  }
+}
+
+// The pull-request provider couldn't open, update or merge the branch's pull request
+class PullRequestError extends ChronosError {
+  constructor(message, cause) {
+    super(message, 'CHRONOS_PR', cause);
+  }
+}
+
+// Uncommitted work in the repository would be swept into a bot commit, or couldn't be set aside and restored
+class DirtyTreeError extends ChronosError {
+  constructor(message, cause) {
+    super(message, 'CHRONOS_DIRTY', cause);
+  }
+}
+
+// A lifecycle hook failed and its onFailure setting aborts the pulse; `hook` names the hook point
+class HookError extends ChronosError {
+  constructor(message, hook, cause) {
+    super(message, 'CHRONOS_HOOK', cause);
+    this.hook = hook;
+  }
+}
+
+// A pulse failed on something outside the engine's own checks, like a generator, the filesystem or a
+// spawned process; `cause` holds the original error
+class RunError extends ChronosError {
+  constructor(message, cause) {
+    super(message, 'CHRONOS_RUN', cause);
+  }
+}
+
+// `error` as a ChronosError: typed errors pass through, anything else becomes a RunError caused by it
+const toChronosError = (error) => (error instanceof ChronosError ? error : new RunError(error.message, error));
+
+module.exports = {
+  ChronosError,
+  ConfigError,
+  LockError,
+  HealthCheckError,
+  GitError,
+  DirtyTreeError,
+  PullRequestError,
+  HookError,
+  RunError,
+  toChronosError,
+};
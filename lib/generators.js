@@ -0,0 +1,221 @@
+// ===================================================================
+// |> Content Generators for Git Chronos <|
+// ===================================================================
+// A generator decides what each commit changes. It is a function
+//   async (context) => ({ writes, deletes, touched })
+// where `context` describes the run (repoDir, branch, profile, timestamp,
+// date, time, index, total, targetFile, timezone, dryRun, options) and:
+//   writes   [{ path, content, append }]  files to create, overwrite or append to
+//   deletes  [path]               files to remove
+//   touched  [path]               files the generator changed itself
+// All paths are relative to the repository. The engine applies writes and
+// deletes; generators never need to touch the filesystem directly, and
+// must not when `dryRun` is true (dry runs and plans only preview).
+//
+// Built-ins: append-line, json-field, command, copy. Anything else is a
+// path to a module exporting the function (or { generate }).
+
+const { promisify } = require('util');
+const { exec } = require('child_process');
+const { readFile, readdir } = require('fs');
+const { join, resolve, relative, extname, sep } = require('path');
+const { renderTemplate } = require('./template');
+const { loadFresh } = require('./modules');
+
+const execPromise = promisify(exec);
+const readFileAsync = promisify(readFile);
+const readdirAsync = promisify(readdir);
+
+// Read a repo file, or null when it doesn't exist yet
+const readIfExists = (filePath, encoding) => readFileAsync(filePath, encoding).catch((error) => {
+  if (error.code === 'ENOENT') return null;
+  throw error;
+});
+
+// Placeholder values every template option can use
+const templateValues = (context) => ({
+  timestamp: context.timestamp,
+  date: context.date,
+  time: context.time,
+  index: context.index,
+  total: context.total,
+  branch: context.branch,
+  profile: context.profile,
+});
+
+// ==========================
+// |> Structured Field Edits <|
+// ==========================
+
+// Set a dot-path field inside parsed JSON, creating intermediate objects
+const setJsonPath = (data, path, update) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, data);
+  parent[last] = update(parent[last]);
+  return data;
+};
+
+// Set a dot-path scalar in block-style YAML text, keeping every other line as written
+const setYamlPath = (text, path, update) => {
+  const lines = text.split('\n');
+  const stack = [];
+  for (let index = 0; index < lines.length; index++) {
+    const match = lines[index].match(/^(\s*)([^\s#:-][^:#]*?)\s*:(?:\s+(.*?))?\s*$/);
+    if (!match) continue;
+    const indent = match[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+    stack.push({ indent, key: match[2] });
+    if (stack.map((entry) => entry.key).join('.') === path) {
+      let current = match[3];
+      try {
+        current = current === undefined ? undefined : JSON.parse(current);
+      } catch (error) {
+        // Plain YAML scalar, keep it as a string
+      }
+      lines[index] = `${match[1]}${match[2]}: ${JSON.stringify(update(current))}`;
+      return lines.join('\n');
+    }
+  }
+  if (path.includes('.')) throw new Error(`YAML field "${path}" not found`);
+  const trailing = text === '' || text.endsWith('\n') ? '' : '\n';
+  return `${text}${trailing}${path}: ${JSON.stringify(update(undefined))}\n`;
+};
+
+// ====================
+// |> Built-ins <|
+// ====================
+
+const BUILTINS = {
+  // Append one line to a file (the original behavior). Options: file, line
+  'append-line': (options) => async (context) => {
+    const file = options.file || context.targetFile;
+    const line = renderTemplate(options.line || ' Update at {timestamp}', templateValues(context));
+    return { writes: [{ path: file, content: `${line}\n`, append: true }] };
+  },
+
+  // Rewrite one field of a JSON or YAML file. Options: file, field (dot path), and either
+  // value (literal, or a template string) or increment (number added to the current value)
+  'json-field': (options) => {
+    if (!options.file || !options.field) throw new Error('json-field needs "file" and "field" options');
+    if (options.value === undefined && options.increment === undefined) throw new Error('json-field needs a "value" or "increment" option');
+    return async (context) => {
+      const update = (current) => {
+        if (options.increment !== undefined) return (Number(current) || 0) + Number(options.increment);
+        return typeof options.value === 'string' ? renderTemplate(options.value, templateValues(context)) : options.value;
+      };
+      const existing = await readIfExists(join(context.repoDir, options.file), 'utf8');
+      const isYaml = ['.yaml', '.yml'].includes(extname(options.file).toLowerCase());
+      let content;
+      if (isYaml) {
+        content = setYamlPath(existing || '', options.field, update);
+      } else {
+        const indent = ((existing || '').match(/^[ \t]+(?=")/m) || ['  '])[0];
+        content = `${JSON.stringify(setJsonPath(existing ? JSON.parse(existing) : {}, options.field, update), null, indent)}\n`;
+      }
+      return { writes: [{ path: options.file, content }] };
+    };
+  },
+
+  // Run a shell command in the repo. Options: command, and output (file that receives stdout)
+  // or paths (files the command writes itself); timeout in ms (default 60000)
+  command: (options) => {
+    if (!options.command) throw new Error('command needs a "command" option');
+    if (!options.output && !Array.isArray(options.paths)) throw new Error('command needs an "output" file or a "paths" list');
+    return async (context) => {
+      // Previews list the files the command would change without running it
+      if (context.dryRun) return options.output ? { writes: [{ path: options.output, content: '' }] } : { touched: options.paths };
+      const env = {
+        ...process.env,
+        CHRONOS_REPO: context.repoDir,
+        CHRONOS_BRANCH: context.branch,
+        CHRONOS_PROFILE: context.profile,
+        CHRONOS_TIMESTAMP: context.timestamp,
+        CHRONOS_INDEX: String(context.index),
+        CHRONOS_TOTAL: String(context.total),
+      };
+      const { stdout } = await execPromise(renderTemplate(options.command, templateValues(context)), {
+        cwd: context.repoDir,
+        env,
+        timeout: options.timeout || 60000,
+        maxBuffer: 10 * 1024 * 1024,
+      });
+      if (options.output) return { writes: [{ path: options.output, content: stdout }] };
+      return { touched: options.paths };
+    };
+  },
+
+  // Copy a directory tree into the repo, writing only files whose content differs.
+  // Options: source (relative to the repo unless absolute), target (default "."), mirror
+  // (also delete target files missing from source)
+  copy: (options) => {
+    if (!options.source) throw new Error('copy needs a "source" option');
+    const listFiles = async (dir, base = dir) => {
+      const entries = await readdirAsync(dir, { withFileTypes: true }).catch((error) => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      });
+      const nested = await Promise.all(entries
+        .filter((entry) => entry.name !== '.git')
+        .map((entry) => (entry.isDirectory() ? listFiles(join(dir, entry.name), base) : [relative(base, join(dir, entry.name))])));
+      return nested.reduce((all, files) => all.concat(files), []);
+    };
+    return async (context) => {
+      const sourceDir = resolve(context.repoDir, options.source);
+      const targetDir = options.target || '.';
+      const sourceFiles = await listFiles(sourceDir);
+      const writes = [];
+      for (const file of sourceFiles) {
+        const content = await readFileAsync(join(sourceDir, file));
+        const current = await readIfExists(join(context.repoDir, targetDir, file));
+        if (!current || !current.equals(content)) writes.push({ path: join(targetDir, file), content });
+      }
+      let deletes = [];
+      if (options.mirror) {
+        const targetFiles = await listFiles(resolve(context.repoDir, targetDir));
+        deletes = targetFiles.filter((file) => !sourceFiles.includes(file)).map((file) => join(targetDir, file));
+      }
+      return { writes, deletes };
+    };
+  },
+};
+
+// Build the generate function for a built-in name or module path; throws on unknown names,
+// unloadable modules and invalid options
+const createGenerator = (name, options = {}) => {
+  if (BUILTINS[name]) return BUILTINS[name](options);
+  const loaded = loadFresh(resolve(name));
+  const generate = typeof loaded === 'function' ? loaded : loaded && loaded.generate;
+  if (typeof generate !== 'function') throw new Error(`${name} must export a function or { generate }`);
+  return (context) => generate({ ...context, options });
+};
+
+// Normalize a generator result and reject paths that escape the repository or touch .git
+const normalizeChanges = (changes, repoDir) => {
+  const result = {
+    writes: (changes && changes.writes) || [],
+    deletes: (changes && changes.deletes) || [],
+    touched: (changes && changes.touched) || [],
+  };
+  const check = (path) => {
+    const absolute = resolve(repoDir, path);
+    const inside = relative(repoDir, absolute);
+    if (inside === '' || inside.startsWith('..') || resolve(inside) === inside || inside.split(sep)[0] === '.git') {
+      throw new Error(`generator path "${path}" must stay inside the repository`);
+    }
+    return inside;
+  };
+  result.writes = result.writes.map((write) => ({ path: check(write.path), content: write.content, append: Boolean(write.append) }));
+  result.deletes = result.deletes.map(check);
+  result.touched = result.touched.map(check);
+  return result;
+};
+
+module.exports = {
+  BUILTIN_GENERATORS: Object.keys(BUILTINS),
+  createGenerator,
+  normalizeChanges,
+};
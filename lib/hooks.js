@@ -0,0 +1,152 @@
+// ===================================================================
+// |> Lifecycle Hooks for Git Chronos <|
+// ===================================================================
+// Shell commands or JS modules run at fixed points of a pulse, configured under `hooks`:
+//   { "preCommit": { "command": "npm test", "onFailure": "skip" },
+//     "postPush": "./scripts/deploy-docs.sh",
+//     "onError": [{ "module": "./hooks/page.js", "timeout": 5000 }] }
+// Hook points:
+//   preRun      once a pulse passed its checks, before its first commit
+//   preCommit   after the generator changed the files, before they are staged
+//   postCommit  after each commit
+//   postPush    after each successful push
+//   onError     when a pulse fails
+//   postRun     at the end of every pulse that reached preRun, failed or not
+// A hook is a command (a string or { command }) run in the repository with
+// CHRONOS_HOOK, CHRONOS_PROFILE, CHRONOS_REPO, CHRONOS_BRANCH, CHRONOS_RUN_ID,
+// CHRONOS_INDEX, CHRONOS_TOTAL, CHRONOS_MESSAGE, CHRONOS_FILES (one per line),
+// CHRONOS_SHA, CHRONOS_SHAS and CHRONOS_ERROR set (empty when they don't apply),
+// or a module ({ module }, relative to the repository) exporting
+//   async (context) => result
+// with the same values in `context`. A list runs its hooks in order. A hook fails
+// when its command exits non-zero, its module throws or it passes `timeout` ms
+// (default 60000); `onFailure` decides what happens then:
+//   abort      fail the pulse (default for preRun and preCommit)
+//   skip       preRun idles the pulse, preCommit drops the commit and undoes its changes
+//   continue   log a warning and carry on (default for the rest; the only choice for onError and postRun)
+// A module may also return "skip" from preRun or preCommit. Dry runs never run hooks.
+
+const { exec } = require('child_process');
+const { resolve } = require('path');
+const { HookError } = require('./errors');
+const { loadFresh } = require('./modules');
+
+const HOOK_POINTS = ['preRun', 'preCommit', 'postCommit', 'postPush', 'onError', 'postRun'];
+
+const DEFAULT_TIMEOUT = 60000;
+
+// Failure modes each hook point allows; the first is its default
+const FAILURE_MODES = {
+  preRun: ['abort', 'skip', 'continue'],
+  preCommit: ['abort', 'skip', 'continue'],
+  postCommit: ['continue', 'abort'],
+  postPush: ['continue', 'abort'],
+  onError: ['continue'],
+  postRun: ['continue'],
+};
+
+// A hook point's setting as a list of { command | module, timeout, onFailure }
+const toList = (value) => [].concat(value).map((hook) => (typeof hook === 'string' ? { command: hook } : hook));
+
+// Throw on a hook set that can't be run
+const checkHooks = (hooks) => {
+  Object.keys(hooks).forEach((point) => {
+    if (!HOOK_POINTS.includes(point)) throw new Error(`"${point}" is not a hook point (${HOOK_POINTS.join(', ')})`);
+    toList(hooks[point]).forEach((hook) => {
+      if (!hook || typeof hook !== 'object' || Array.isArray(hook)) throw new Error(`${point} hooks must be commands or { "command" | "module" } objects`);
+      const unknown = Object.keys(hook).filter((key) => !['command', 'module', 'timeout', 'onFailure'].includes(key));
+      if (unknown.length > 0) throw new Error(`${point} hooks don't take ${unknown.join(', ')}`);
+      const runs = ['command', 'module'].filter((key) => typeof hook[key] === 'string' && hook[key] !== '');
+      if (runs.length !== 1) throw new Error(`${point} hooks need either a "command" or a "module"`);
+      if (hook.timeout !== undefined && !(Number.isInteger(hook.timeout) && hook.timeout > 0)) throw new Error(`${point} hook timeout must be a positive number of ms`);
+      if (hook.onFailure !== undefined && !FAILURE_MODES[point].includes(hook.onFailure)) {
+        throw new Error(`${point} hook onFailure must be ${FAILURE_MODES[point].join(' or ')} (got ${JSON.stringify(hook.onFailure)})`);
+      }
+    });
+  });
+};
+
+// Environment a command hook sees for `context`
+const hookEnv = (context) => ({
+  ...process.env,
+  CHRONOS_HOOK: context.hook,
+  CHRONOS_PROFILE: context.profile,
+  CHRONOS_REPO: context.repoDir,
+  CHRONOS_BRANCH: context.branch,
+  CHRONOS_RUN_ID: context.runId || '',
+  CHRONOS_INDEX: context.index === undefined ? '' : String(context.index),
+  CHRONOS_TOTAL: context.total === undefined ? '' : String(context.total),
+  CHRONOS_MESSAGE: context.message || '',
+  CHRONOS_FILES: (context.files || []).join('\n'),
+  CHRONOS_SHA: context.sha || '',
+  CHRONOS_SHAS: (context.shas || []).join(' '),
+  CHRONOS_ERROR: context.error ? context.error.message : '',
+});
+
+// Run a shell command in the repository; rejects on a non-zero exit or timeout
+const runCommand = (command, context, timeout) => new Promise((done, reject) => {
+  exec(command, { cwd: context.repoDir, env: hookEnv(context), timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (!error) return done(null);
+    const reason = error.killed ? `timed out after ${timeout}ms` : `exited with code ${error.code}`;
+    const output = (stderr || stdout).trim().slice(0, 200);
+    return reject(new Error(`${reason}${output ? `: ${output}` : ''}`));
+  });
+});
+
+// Run a module's exported function, rejecting once it passes `timeout`
+const runModule = (run, context, timeout) => {
+  let timer;
+  const expired = new Promise((done, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+  });
+  return Promise.race([Promise.resolve().then(() => run(context)), expired]).finally(() => clearTimeout(timer));
+};
+
+// Build the hook runner for validated `hooks`, loading modules relative to `baseDir`. run(point, context)
+// resolves to "skip" when a hook asked for one and null otherwise, or throws a HookError when a failing
+// hook aborts. `log` is the engine's { debug, warning }.
+const createHooks = (hooks, { baseDir, log }) => {
+  const points = Object.keys(hooks).reduce((all, point) => ({
+    ...all,
+    [point]: toList(hooks[point]).map((hook) => {
+      const base = { name: hook.command || hook.module, timeout: hook.timeout || DEFAULT_TIMEOUT, onFailure: hook.onFailure || FAILURE_MODES[point][0] };
+      if (hook.command) return { ...base, invoke: (context, timeout) => runCommand(hook.command, context, timeout) };
+      const loaded = loadFresh(resolve(baseDir, hook.module));
+      if (typeof loaded !== 'function') throw new Error(`${point} hook ${hook.module} must export a function`);
+      return { ...base, invoke: (context, timeout) => runModule(loaded, context, timeout) };
+    }),
+  }), {});
+
+  const has = (point) => Boolean(points[point] && points[point].length > 0);
+
+  const run = async (point, context) => {
+    for (const hook of points[point] || []) {
+      let outcome;
+      try {
+        outcome = await hook.invoke({ ...context, hook: point }, hook.timeout);
+      } catch (error) {
+        if (hook.onFailure === 'abort') throw new HookError(`HOOK ABORT: ${point} hook "${hook.name}" failed! ${error.message}`, point, error);
+        if (hook.onFailure === 'skip') {
+          await log.warning(`HOOK SKIP: ${point} hook "${hook.name}" failed, skipping! ${error.message}`);
+          return 'skip';
+        }
+        await log.warning(`HOOK FAILURE: ${point} hook "${hook.name}" failed, carrying on! ${error.message}`);
+        continue;
+      }
+      if (outcome === 'skip' && FAILURE_MODES[point].includes('skip')) {
+        await log.warning(`HOOK SKIP: ${point} hook "${hook.name}" asked to skip!`);
+        return 'skip';
+      }
+      await log.debug(`HOOK COMPLETE: ${point} hook "${hook.name}" ran`);
+    }
+    return null;
+  };
+
+  return { has, run };
+};
+
+module.exports = {
+  HOOK_POINTS,
+  checkHooks,
+  createHooks,
+};
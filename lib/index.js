@@ -1,5 +1,3 @@
-#!/usr/bin/env node
-
 // ===================================================================
 // |> Git Chronos - The Commit Engine <|
 // ===================================================================
@@ -15,7 +13,7 @@
 // 9. Secure parameter handling (CLI args with environment variable fallbacks)
 // 10. Independent daily commit limit enforcement (default: 15, set via --dailyLimit, resets daily)
 // 11. Pure Node.js implementation, no external dependencies for full control
-// 12. Robust error handling with try-catch across all critical operations
+// 12. Robust error handling with typed errors across all critical operations
 // 13. Graceful shutdown with cleanup (tracker save, lock removal)
 // 14. Retry mechanism for transient Git failures (configurable via --retryAttempts/--retryDelay)
 // 15. Concurrency control with lock files and in-memory caching to prevent duplicate runs
@@ -24,16 +22,43 @@
 // 18. npm-ready package structure (bin/lib split for CLI and library usage)
 // 19. Seamless interactive configuration menu for intuitive, guided setup
 // 20. Enhanced commit precision with flexible daily limits and random commit ranges
+// 21. Embeddable library API (createChronos) with runOnce/start/stop/healthCheck
+// 22. Layered configuration (defaults < config file < env < CLI) validated by a single schema
+// 23. Multi-repository profiles in one process (createFleet) with per-repo locks and a combined status view
+// 24. Cron expressions and weekday windows (--schedule), sleeping until the exact next firing time
+// 25. Holiday and blackout calendars from .ics or JSON files (--calendar)
+// 26. Pluggable content generators deciding what each commit changes (--generator)
+// 27. Templated commit messages, message lists and Conventional Commits (--messageTemplate)
+// 28. Bot commit identity, co-author trailers and GPG/SSH commit signing (--sign)
+// 29. Dry runs and multi-day plan previews that never touch the repository (--dry-run, --plan)
+// 30. Seeded randomness for every decision, with run seeds recorded for replay (--seed)
+// 31. Scoped staging of the run's own paths, dirty-tree policies and state files kept out of the repo
+// 32. Dedicated git worktree mode that leaves the user's checkout untouched (--worktree)
+// 33. Push strategies, configurable remote and pre-commit sync with the remote branch (--pushStrategy, --sync)
+// 34. Per-step git retries by failure kind, with jittered exponential backoff and rebase-and-retry on rejected pushes
+// 35. Pull-request mode: commits go to a dated branch with a Gitea/GitLab pull request, optionally auto-merged (--pr)
+// 36. Append-only commit ledger (SHA, branch, message, files, push status, run id) and a versioned, atomically written tracker
+// 37. History reports per day, week and hour with limit hits, failed pushes and skipped pulses (git-chronos report)
+// 38. Weekly and monthly quotas with optional minimums, over calendar or rolling windows (--weeklyLimit, --monthlyLimit)
+// 39. Day plans spreading commits over the schedule's active minutes: uniform, weighted by hour or clustered (--distribution)
+// 40. Leveled text or JSON logs with run ids and SHAs, rotated by size and age (--logLevel, --logFormat)
+// 41. Local HTTP status server with /healthz, /status and Prometheus /metrics (--httpPort)
+// 42. Runtime control over a unix socket: pause, resume, run-now and config reload (git-chronos pause|resume|run-now|reload, SIGHUP)
+// 43. Notifications to webhooks (HMAC-signed), Slack/Mattermost, SMTP mail or a command, with event filters and rate limits (--notify)
+// 44. Lifecycle hooks running commands or JS modules before and after pulses, commits and pushes, able to skip or abort a commit (--hooks)
+// 45. Exclusive-create repository lock with host, PID and heartbeat, stale detection by heartbeat age (git-chronos unlock --force)
 
 // Core Node.js built-in modules
 const { promisify } = require('util');
-const { exec, spawn } = require('child_process');
-const { readFile, writeFile, appendFile, stat, unlink, access, constants, mkdir } = require('fs');
-const { resolve, join, dirname } = require('path');
-const { tmpdir } = require('os');
+const { exec, execFile, spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { randomBytes } = require('crypto');
+const { readFile, writeFile, appendFile, stat, unlink, access, constants, mkdir, realpath } = require('fs');
+const { join, dirname, relative, basename, isAbsolute } = require('path');
 
 // Promisify built-in functions for async operations
 const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
 const readFileAsync = promisify(readFile);
 const writeFileAsync = promisify(writeFile);
 const appendFileAsync = promisify(appendFile);
@@ -41,554 +66,2020 @@ const statAsync = promisify(stat);
 const unlinkAsync = promisify(unlink);
 const accessAsync = promisify(access);
 const mkdirAsync = promisify(mkdir);
+const realpathAsync = promisify(realpath);
 
-// Import terminal effects
+// Import terminal effects, configuration and error types
 const augEffects = require('./augEffects');
+const { parseArgs, resolveConfig, validateConfig, loadConfig, loadProfiles, usesProfiles } = require('./config');
+const { ChronosError, ConfigError, LockError, HealthCheckError, GitError, DirtyTreeError, PullRequestError, HookError, RunError, toChronosError } = require('./errors');
+const { parseSchedule, legacySchedule, getZonedParts } = require('./schedule');
+const { loadCalendar } = require('./calendar');
+const { createGenerator, normalizeChanges } = require('./generators');
+const { createMessageComposer } = require('./messages');
+const { createRandom } = require('./random');
+const { classifyGitError, backoffDelay } = require('./retry');
+const { createProvider, repoFromRemoteUrl } = require('./providers');
+const { renderTemplate } = require('./template');
+const { createLedger, foldCommits, writeFileAtomic } = require('./ledger');
+const { buildReport } = require('./report');
+const { PERIOD_NAMES, pruneCounts, computeQuotas, exhaustedQuota, budgetCommits } = require('./quota');
+const { planTimes } = require('./distribution');
+const { createLogger } = require('./logger');
+const { createStatusServer, requestControl } = require('./server');
+const { NOTIFY_EVENTS, createNotifier } = require('./notify');
+const { acquireLock, readLock, staleReason, describeHolder, forceUnlock } = require('./lock');
+const { createHooks } = require('./hooks');
+
+// Plan previews draw from a fixed seed (unless --seed is set) so the same tracker and config always
+// preview the same plan
+const PLAN_SEED = 'git-chronos-plan';
+
+// Message of the stash holding uncommitted work under the "stash" dirty-tree policy
+const STASH_MESSAGE = 'git-chronos: uncommitted work set aside during a run';
+
+// Days of run seeds kept in the tracker
+const SEED_HISTORY_DAYS = 30;
+
+// Tracker file format; version 1 files (no "version" key) predate the ledger, version 2 files the per-day
+// counts quotas use. Both are upgraded on start.
+const TRACKER_VERSION = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest delay setTimeout accepts (~24.8 days); longer sleeps are chunked
+const MAX_TIMER_DELAY = 2147483647;
+
+// Upcoming pulses counted when spreading a minimum's shortfall; more than enough for a month of hourly pulses
+const MAX_QUOTA_PULSES = 1000;
+
+// How long a health result is served to monitoring before health() checks again
+const HEALTH_CHECK_INTERVAL = 60 * 1000;
 
-// Show help if --help or -h is passed
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log(`
-|> Git Chronos - Commit Engine Activated <|
-    Options:
-      --repo=<path>            Path to Git repository (default: current directory)
-      --branch=<name>          Git branch (default: main)
-      --timezone=<tz>          Timezone (default: America/New_York)
-      --minCommits=<n>         Min random commits per day (default: 1)
-      --maxCommits=<n>         Max random commits per day (default: 10)
-      --dailyLimit=<n>         Absolute daily commit limit (default: 15)
-      --commitDelayMin=<ms>    Min delay between commits (ms, default: 1000)
-      --commitDelayMax=<ms>    Max delay between commits (ms, default: 5000)
-      --scheduleStart=<hour>   Start hour for commits (0-23, default: 9)
-      --scheduleEnd=<hour>     End hour for commits (0-23, default: 17)
-      --enableWeekends         Enable weekend commits (default: false)
-      --targetFile=<name>      Target file for bot updates (default: bot_activity.log)
-      --commitTrackerFile=<path> Commit tracker file path (default: <repo>/commit_tracker.json)
-      --lockFile=<path>        Lock file path for concurrency (default: <repo>/git_chronos.lock)
-      --logFile=<path>         Log file path (default: <repo>/bot_runtime.log)
-      --retryAttempts=<n>      Retry attempts for Git operations (default: 3)
-      --retryDelay=<ms>        Delay between retries (ms, default: 5000)
-    Notes:
-      - Feel the Chronos flow! -|>
-  `);
-  process.exit(0);
-}
-
-// Parse CLI arguments with support for --key=value format
-const args = {};
-process.argv.slice(2).forEach((arg) => {
-  if (arg.startsWith('--')) {
-    const [key, value] = arg.slice(2).split('=');
-    args[key] = value !== undefined ? value : true;
-  }
-});
-const hasCLIArgs = process.argv.slice(2).length > 0;
-
-// Validate CLI arguments for numeric values with environment variable fallbacks
-const minCommits = Number(args.minCommits) || Number(process.env.MIN_COMMITS) || 1;
-const maxCommits = Number(args.maxCommits) || Number(process.env.MAX_COMMITS) || 10;
-const dailyLimit = Number(args.dailyLimit) || Number(process.env.DAILY_LIMIT) || 15;
-const commitDelayMin = Number(args.commitDelayMin) || Number(process.env.COMMIT_DELAY_MIN) || 1000;
-const commitDelayMax = Number(args.commitDelayMax) || Number(process.env.COMMIT_DELAY_MAX) || 5000;
-const scheduleStart = Number(args.scheduleStart) || Number(process.env.SCHEDULE_START) || 9;
-const scheduleEnd = Number(args.scheduleEnd) || Number(process.env.SCHEDULE_END) || 17;
-const retryAttempts = Number(args.retryAttempts) || Number(process.env.RETRY_ATTEMPTS) || 3;
-const retryDelay = Number(args.retryDelay) || Number(process.env.RETRY_DELAY) || 5000;
-
-// Validate all numeric arguments
-if (isNaN(maxCommits) || isNaN(minCommits) || isNaN(dailyLimit) || isNaN(commitDelayMin) || isNaN(commitDelayMax) ||
-  isNaN(scheduleStart) || isNaN(scheduleEnd) || isNaN(retryAttempts) || isNaN(retryDelay)) {
-  const invalidArg = Object.entries({ maxCommits, minCommits, dailyLimit, commitDelayMin, commitDelayMax, scheduleStart, scheduleEnd, retryAttempts, retryDelay })
-    .find(([_, val]) => isNaN(val))?.[0] || 'unknown';
-  augEffects.logError(`SYSTEM ERROR: Numeric argument '${invalidArg}' must be a valid number! Check your input stream!`, null);
-  process.exit(1);
-}
-
-// Validate schedule hours and retry parameters
-if (scheduleStart < 0 || scheduleStart > 23 || scheduleEnd < 0 || scheduleEnd > 23 || scheduleStart >= scheduleEnd) {
-  augEffects.logError(`TIME SYNC ERROR: --scheduleStart and --scheduleEnd must be 0-23, and start < end!`, null);
-  process.exit(1);
-}
-if (retryAttempts < 1) {
-  augEffects.logError(`RETRY CORE ERROR: --retryAttempts must be at least 1!`, null);
-  process.exit(1);
-}
-if (retryDelay < 0) {
-  augEffects.logError(`TIME DELAY ERROR: --retryDelay can't be negative!`, null);
-  process.exit(1);
-}
-
-// Define root directory (where package.json lives)
-const ROOT_DIR = resolve(dirname(__filename), '..');
-
-// Define configuration with defaults, CLI overrides, and environment variable fallbacks
-const CONFIG = {
-  REPO_DIR: resolve(args.repo || process.env.REPO_DIR || ROOT_DIR),
-  TARGET_FILE: args.targetFile || process.env.TARGET_FILE || 'bot_activity.log',
-  GIT_BRANCH: args.branch || process.env.GIT_BRANCH || 'main',
-  TIMEZONE: args.timezone || process.env.TIMEZONE || 'America/New_York',
-  MAX_COMMITS: Math.min(Math.max(maxCommits, 1), 100),
-  MIN_COMMITS: Math.max(minCommits, 1),
-  DAILY_LIMIT: Math.max(dailyLimit, 1),
-  COMMIT_DELAY_MIN: commitDelayMin,
-  COMMIT_DELAY_MAX: commitDelayMax,
-  SCHEDULE_START: scheduleStart,
-  SCHEDULE_END: scheduleEnd,
-  ENABLE_WEEKENDS: args.enableWeekends || process.env.ENABLE_WEEKENDS === 'true' || false,
-  COMMIT_TRACKER_FILE: args.commitTrackerFile || process.env.COMMIT_TRACKER_FILE || join(resolve(args.repo || process.env.REPO_DIR || ROOT_DIR), 'commit_tracker.json'),
-  LOCK_FILE: args.lockFile || process.env.LOCK_FILE || join(resolve(args.repo || process.env.REPO_DIR || ROOT_DIR), 'git_chronos.lock'),
-  LOG_FILE: args.logFile || process.env.LOG_FILE || join(resolve(args.repo || process.env.REPO_DIR || ROOT_DIR), 'bot_runtime.log'),
-  RETRY_ATTEMPTS: retryAttempts,
-  RETRY_DELAY: retryDelay,
-};
+// ========================
+// |> Process-Wide State <|
+// ========================
 
-// Validate commit limits to prevent zero commits
-if (CONFIG.MIN_COMMITS < 1 || CONFIG.MAX_COMMITS < CONFIG.MIN_COMMITS || CONFIG.DAILY_LIMIT < CONFIG.MIN_COMMITS) {
-  augEffects.logError(`COMMIT CORE ERROR: MIN_COMMITS must be >= 1, <= MAX_COMMITS, and DAILY_LIMIT >= MIN_COMMITS!`, CONFIG.LOG_FILE);
-  process.exit(1);
-}
-
-// Ensure directories exist for configurable file paths
-const ensureDirectory = async (filePath) => {
-  const dir = dirname(filePath);
-  try {
-    await accessAsync(dir, constants.W_OK);
-  } catch (error) {
-    await mkdirAsync(dir, { recursive: true });
-    augEffects.logOperation(`CHRONOS PATH ONLINE: ${dir} initialized!`, CONFIG.LOG_FILE);
-  }
+// Lock files held by engines of this process, keyed by path, so profiles sharing a repo share its lock:
+// { holders, lock } with the engines holding it and the acquired lock
+const heldLocks = new Map();
+
+// Per-repository run queues so profiles sharing a working tree never interleave git operations
+const repoQueues = new Map();
+
+// Run a task after every task already queued for the same repository has settled
+const enqueueForRepo = (repoDir, task) => {
+  const previous = repoQueues.get(repoDir) || Promise.resolve();
+  const run = previous.then(task);
+  const settled = run.catch(() => {});
+  repoQueues.set(repoDir, settled);
+  settled.then(() => {
+    if (repoQueues.get(repoDir) === settled) repoQueues.delete(repoDir);
+  });
+  return run;
 };
 
-// In-memory cache for commit tracker
-let commitTrackerCache = {
-  commitCount: 0,
-  lastRunDate: new Date().toISOString(),
-};
+// ========================
+// |> Engine Factory <|
+// ========================
 
-// Initialize commit tracker file if it doesn’t exist or is corrupted
-const initCommitTracker = async () => {
-  await ensureDirectory(CONFIG.COMMIT_TRACKER_FILE);
-  try {
-    const fileExists = await statAsync(CONFIG.COMMIT_TRACKER_FILE).catch(() => false);
-    if (!fileExists) {
-      await writeFileAsync(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2));
-      augEffects.logOperation(`COMMIT TRACKING CORE ONLINE: ${CONFIG.COMMIT_TRACKER_FILE} activated!`, CONFIG.LOG_FILE);
-    } else {
-      const data = await readFileAsync(CONFIG.COMMIT_TRACKER_FILE, 'utf8');
-      commitTrackerCache = JSON.parse(data);
-    }
-  } catch (error) {
-    augEffects.logError(`TRACKING CORE FAILURE: Couldn’t access ${CONFIG.COMMIT_TRACKER_FILE}! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-    augEffects.logOperation(`REBOOTING CORE: Creating new tracker with default values!`, CONFIG.LOG_FILE);
-    commitTrackerCache = { commitCount: 0, lastRunDate: new Date().toISOString() };
-    await writeFileAsync(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2));
-  }
-};
+// Build the engine for one validated CONFIG (a single profile). With `display` set, log lines and commit
+// progress also go to the terminal; the CLI sets it, embedding apps get the log file and events only.
+const createEngine = (CONFIG, { display = false } = {}) => {
+  const engine = new EventEmitter();
+
+  // Firing times come from --schedule, or from SCHEDULE_START/END as hourly pulses. Everything built
+  // from the config takes it as an argument, so reload() can build the new parts before swapping them in.
+  const buildSchedule = (config) => (config.SCHEDULE
+    ? parseSchedule(config.SCHEDULE, config.TIMEZONE)
+    : legacySchedule(config.SCHEDULE_START, config.SCHEDULE_END, config.TIMEZONE));
+  let schedule = buildSchedule(CONFIG);
+
+  // Holidays and freeze periods from --calendar
+  const buildCalendar = (config) => (config.CALENDAR ? loadCalendar(config.CALENDAR, config.TIMEZONE) : null);
+  let calendar = buildCalendar(CONFIG);
+
+  // Working tree the bot edits and commits in: REPO_DIR itself, or its dedicated worktree in --worktree mode
+  const workDir = CONFIG.WORKTREE ? CONFIG.WORKTREE_DIR : CONFIG.REPO_DIR;
+
+  // Branch the current pulse commits to: GIT_BRANCH, or in --pr mode the PR_BRANCH rendered for the pulse
+  let activeBranch = CONFIG.GIT_BRANCH;
+  const getCommitBranch = (at) => (CONFIG.PR ? renderTemplate(CONFIG.PR_BRANCH, {
+    date: at.toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE }),
+    profile: CONFIG.PROFILE_NAME,
+    branch: CONFIG.GIT_BRANCH,
+  }) : CONFIG.GIT_BRANCH);
+
+  // Content generator deciding what each commit changes
+  const buildGenerator = (config) => {
+    try {
+      return createGenerator(config.GENERATOR, config.GENERATOR_OPTIONS);
+    } catch (error) {
+      throw new ConfigError(`CONFIG CORE ERROR: generator "${config.GENERATOR}" ${error.message}!`, 'GENERATOR', undefined, error);
+    }
+  };
+  let generate = buildGenerator(CONFIG);
+
+  // Commit message composer (templates were validated with the rest of the config)
+  const buildMessages = (config) => createMessageComposer({
+    template: config.MESSAGE_TEMPLATE,
+    file: config.MESSAGE_FILE,
+    order: config.MESSAGE_ORDER,
+    body: config.MESSAGE_BODY,
+    trailers: config.MESSAGE_TRAILERS,
+    conventional: config.CONVENTIONAL,
+    types: config.CONVENTIONAL_TYPES,
+    coAuthors: config.CO_AUTHORS || [],
+  });
+  let messages = buildMessages(CONFIG);
+
+  // Id of the running pulse, stamped on its ledger events and log entries
+  let currentRunId = null;
+
+  // Activity since the engine was created, served by the metrics endpoint, and the last failed pulse
+  const counters = { commits: 0, pushFailures: 0, retries: 0, runs: 0, failedRuns: 0, skipped: {}, lastRunAt: null, lastSuccessAt: null };
+  let lastError = null;
+
+  // Profile-tagged logging so several engines can share a console and log file. The console keeps its
+  // styled display (with `display` only); the file gets text or JSON entries carrying the profile, repo,
+  // run and branch.
+  const prefix = CONFIG.PROFILE_NAME === 'default' ? '' : `[${CONFIG.PROFILE_NAME}] `;
+  const DISPLAY = { debug: augEffects.logDebug, info: augEffects.logOperation, warn: augEffects.logWarning, error: augEffects.logError };
+  const buildLogger = (config) => createLogger({
+    file: config.LOG_FILE,
+    level: config.LOG_LEVEL,
+    format: config.LOG_FORMAT,
+    maxSize: config.LOG_MAX_SIZE,
+    maxAge: config.LOG_MAX_AGE * DAY_MS,
+    maxFiles: config.LOG_MAX_FILES,
+    prefix,
+    fields: { profile: config.PROFILE_NAME, repo: config.REPO_DIR },
+    context: () => ({ runId: currentRunId, branch: currentRunId ? activeBranch : null }),
+    display: display ? (level, message) => DISPLAY[level](message) : null,
+  });
+  let logger = buildLogger(CONFIG);
+  // Commit progress for the terminal, shown with `display` only
+  const showProgress = (text) => display && process.stdout.write(text);
+  const log = {
+    debug: (message, fields) => logger.debug(message, fields),
+    operation: (message, fields) => logger.info(message, fields),
+    warning: (message, fields) => logger.warn(message, fields),
+    error: (message, fields) => logger.error(message, fields),
+  };
+
+  // Notification sinks from --notify, subscribed to the engine's own events
+  const buildNotifier = (config) => createNotifier(config.NOTIFY, { log });
+  let notifier = buildNotifier(CONFIG);
+  NOTIFY_EVENTS.forEach((event) => engine.on(event, (notification) => notifier.send(notification)));
 
-// Check and initialize Git repository
-const initGitRepo = async () => {
-  try {
-    await execPromise('git status', { cwd: CONFIG.REPO_DIR });
-  } catch (error) {
-    augEffects.logOperation(`INITIALIZING GIT REPO at ${CONFIG.REPO_DIR}...`, CONFIG.LOG_FILE);
+  // Lifecycle hooks from --hooks; modules load relative to the repository
+  const buildHooks = (config) => {
     try {
-      await execPromise('git init', { cwd: CONFIG.REPO_DIR });
-      augEffects.logOperation(`GIT REPO ONLINE: Git initialized successfully!`, CONFIG.LOG_FILE);
-    } catch (initError) {
-      augEffects.logError(`GIT CORE CRASH: Failed to initialize Git! ${initError.message} (Code: ${initError.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-      process.exit(1);
+      return createHooks(config.HOOKS, { baseDir: config.REPO_DIR, log });
+    } catch (error) {
+      throw new ConfigError(`CONFIG CORE ERROR: hooks ${error.message}!`, 'HOOKS', undefined, error);
     }
-  }
-};
+  };
+  let hooks = buildHooks(CONFIG);
+
+  // Run the hooks for `point` with the pulse's profile, working tree, branch and run id plus `fields`;
+  // resolves to "skip" when a hook asked to skip
+  const runHook = (point, fields = {}) => hooks.run(point, {
+    profile: CONFIG.PROFILE_NAME,
+    repoDir: workDir,
+    branch: activeBranch,
+    runId: currentRunId,
+    ...fields,
+  });
+
+  // Emit one of NOTIFY_EVENTS with { event, profile, repo, branch, runId, at, message, ...fields }
+  const announce = (event, message, fields = {}) => engine.emit(event, {
+    event,
+    profile: CONFIG.PROFILE_NAME,
+    repo: CONFIG.REPO_DIR,
+    branch: activeBranch,
+    runId: currentRunId,
+    at: new Date().toISOString(),
+    message,
+    ...fields,
+  });
+
+  // Ensure directories exist for configurable file paths
+  const ensureDirectory = async (filePath) => {
+    const dir = dirname(filePath);
+    try {
+      await accessAsync(dir, constants.W_OK);
+    } catch (error) {
+      await mkdirAsync(dir, { recursive: true });
+      log.operation(`CHRONOS PATH ONLINE: ${dir} initialized!`);
+    }
+  };
 
-// ========================
-// |> Utility Functions <|
-// ========================
+  // Local "YYYY-MM-DD" date of an instant in the configured timezone
+  const localDay = (date) => date.toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE });
 
-// Get formatted timestamp (YYYY-MM-DD HH:mm:ss) for logs and commits using configured timezone
-const getFormattedTimestamp = () => {
-  const now = new Date();
-  const pad = (n) => String(n).padStart(2, '0');
-  try {
-    const year = now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, year: 'numeric' });
-    const month = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, month: 'numeric' }));
-    const day = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, day: 'numeric' }));
-    const hour = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, hour: 'numeric', hour12: false }));
-    const minute = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, minute: 'numeric' }));
-    const second = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, second: 'numeric' }));
-    const timestamp = `${year}-${month}-${day} ${hour}:${minute}:${second}`;
-    augEffects.logOperation(`TIMESTAMP CORE CHECK: Generated ${timestamp}`, CONFIG.LOG_FILE);
-    return timestamp;
-  } catch (error) {
-    augEffects.logWarning(`TIMEZONE GRID FAILURE: '${CONFIG.TIMEZONE}' invalid, falling back to UTC!`, CONFIG.LOG_FILE);
-    const fallback = now.toISOString().replace('T', ' ').substring(0, 19);
-    augEffects.logOperation(`TIMESTAMP FALLBACK: Using ${fallback}`, CONFIG.LOG_FILE);
-    return fallback;
-  }
-};
+  // In-memory cache for commit tracker
+  let commitTrackerCache = {
+    version: TRACKER_VERSION,
+    commitCount: 0,
+    lastRunDate: new Date().toISOString(),
+  };
 
-// Check if today is a weekend based on configured timezone
-const isWeekend = () => {
-  if (CONFIG.ENABLE_WEEKENDS) return false;
-  const now = new Date().toLocaleDateString('en-US', { timeZone: CONFIG.TIMEZONE, weekday: 'short' });
-  return ['Sat', 'Sun'].includes(now);
-};
+  // Append-only history of every commit, push and pulse
+  const ledger = createLedger(CONFIG.LEDGER_FILE);
+
+  // Per-day commit counts rebuilt from the ledger for trackers that predate them; the tracker's own count
+  // covers its last run day, which may hold commits from before the ledger
+  const backfillDailyCounts = async () => {
+    const counts = foldCommits(await ledger.read()).reduce((all, commit) => {
+      const day = localDay(new Date(commit.at));
+      return { ...all, [day]: (all[day] || 0) + 1 };
+    }, {});
+    const lastDay = localDay(new Date(commitTrackerCache.lastRunDate));
+    counts[lastDay] = Math.max(counts[lastDay] || 0, commitTrackerCache.commitCount || 0);
+    return pruneCounts(counts, localDay(new Date()));
+  };
 
-// Check if current time is within working hours based on configured timezone
-const isWorkingHours = () => {
-  const now = new Date().toLocaleTimeString('en-US', { timeZone: CONFIG.TIMEZONE, hour12: false });
-  const currentHour = parseInt(now.split(':')[0], 10);
-  return currentHour >= CONFIG.SCHEDULE_START && currentHour < CONFIG.SCHEDULE_END;
-};
+  // Bring a tracker written by an older version up to TRACKER_VERSION; the ledger notes where its history starts
+  const migrateTracker = async () => {
+    const from = commitTrackerCache.version || 1;
+    if (from > TRACKER_VERSION) {
+      throw new ChronosError(`TRACKING CORE ERROR: ${CONFIG.COMMIT_TRACKER_FILE} has version ${from}, newer than this git-chronos supports (${TRACKER_VERSION})!`);
+    }
+    if (from === TRACKER_VERSION) return;
+    if (from < 3) commitTrackerCache.dailyCounts = await backfillDailyCounts();
+    commitTrackerCache.version = TRACKER_VERSION;
+    await ledger.append({
+      type: 'migration',
+      at: new Date().toISOString(),
+      from,
+      to: TRACKER_VERSION,
+      commitCount: commitTrackerCache.commitCount,
+      lastRunDate: commitTrackerCache.lastRunDate,
+    });
+    await writeFileAtomic(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2));
+    log.operation(`COMMIT TRACKING CORE UPGRADED: Tracker v${from} -> v${TRACKER_VERSION}, history continues in ${CONFIG.LEDGER_FILE}!`);
+  };
 
-// Generate random commit count for the day
-const getRandomCommitCount = () => Math.floor(Math.random() * (CONFIG.MAX_COMMITS - CONFIG.MIN_COMMITS + 1)) + CONFIG.MIN_COMMITS;
+  // Initialize commit tracker file if it doesn’t exist or is corrupted
+  const initCommitTracker = async () => {
+    await ensureDirectory(CONFIG.COMMIT_TRACKER_FILE);
+    try {
+      const fileExists = await statAsync(CONFIG.COMMIT_TRACKER_FILE).catch(() => false);
+      const legacyFile = join(CONFIG.REPO_DIR, basename(CONFIG.COMMIT_TRACKER_FILE));
+      if (!fileExists && legacyFile !== CONFIG.COMMIT_TRACKER_FILE && await statAsync(legacyFile).catch(() => false)) {
+        // Carry counts over from the old in-repo default; the old file is left for the user to remove from git
+        commitTrackerCache = JSON.parse(await readFileAsync(legacyFile, 'utf8'));
+        await writeFileAtomic(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2));
+        log.warning(`COMMIT TRACKING CORE MOVED: ${legacyFile} copied to ${CONFIG.COMMIT_TRACKER_FILE}! Remove the old file from the repository.`);
+      } else if (!fileExists) {
+        await writeFileAtomic(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2));
+        log.operation(`COMMIT TRACKING CORE ONLINE: ${CONFIG.COMMIT_TRACKER_FILE} activated!`);
+      } else {
+        const data = await readFileAsync(CONFIG.COMMIT_TRACKER_FILE, 'utf8');
+        commitTrackerCache = JSON.parse(data);
+      }
+    } catch (error) {
+      log.error(`TRACKING CORE FAILURE: Couldn’t access ${CONFIG.COMMIT_TRACKER_FILE}! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      log.operation(`REBOOTING CORE: Creating new tracker with default values!`);
+      commitTrackerCache = { version: TRACKER_VERSION, commitCount: 0, lastRunDate: new Date().toISOString() };
+      await writeFileAtomic(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2));
+    }
+    await migrateTracker();
+  };
 
-// Delay execution between commits
-const delay = (min, max) => {
-  const delayTime = Math.floor(Math.random() * (max - min + 1)) + min;
-  return new Promise((resolve) => setTimeout(resolve, delayTime));
-};
+  // Read the tracker without creating or repairing it, for views that must not write (status, previews)
+  const loadTrackerSnapshot = async () => {
+    if (isInitialized) return;
+    const data = await readFileAsync(CONFIG.COMMIT_TRACKER_FILE, 'utf8').catch(() => null);
+    try {
+      if (data) commitTrackerCache = JSON.parse(data);
+    } catch (error) {
+      // Corrupted tracker, use the defaults until initCommitTracker rebuilds it
+    }
+  };
 
-// Change to repository directory
-const changeDirectory = async () => {
-  try {
-    process.chdir(CONFIG.REPO_DIR);
-    await augEffects.logOperation(`TELEPORTED TO GIT REPO: ${CONFIG.REPO_DIR}`, CONFIG.LOG_FILE);
-  } catch (error) {
-    await augEffects.logError(`TELEPORT FAILURE: Couldn’t access ${CONFIG.REPO_DIR}! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-    throw error;
-  }
-};
+  // Check and initialize Git repository
+  const initGitRepo = async () => {
+    try {
+      await execPromise('git status', { cwd: CONFIG.REPO_DIR });
+    } catch (error) {
+      log.operation(`INITIALIZING GIT REPO at ${CONFIG.REPO_DIR}...`);
+      try {
+        await execPromise('git init', { cwd: CONFIG.REPO_DIR });
+        log.operation(`GIT REPO ONLINE: Git initialized successfully!`);
+      } catch (initError) {
+        await log.error(`GIT CORE CRASH: Failed to initialize Git! ${initError.message} (Code: ${initError.code || 'UNKNOWN'})`);
+        throw new GitError(`GIT CORE CRASH: Failed to initialize Git at ${CONFIG.REPO_DIR}!`, initError);
+      }
+    }
+  };
 
-// ========================
-// |> Core Functionality <|
-// ========================
+  // ========================
+  // |> Utility Functions <|
+  // ========================
 
-// Modify the target file by appending a timestamp
-const modifyFile = async () => {
-  const timestamp = getFormattedTimestamp();
-  try {
-    const filePath = join(CONFIG.REPO_DIR, CONFIG.TARGET_FILE);
-    await ensureDirectory(filePath);
-    if (!(await statAsync(filePath).catch(() => false))) {
-      await writeFileAsync(filePath, '');
-      await augEffects.logOperation(`NEW DATA NODE CREATED: ${CONFIG.TARGET_FILE}`, CONFIG.LOG_FILE);
-    }
-    await appendFileAsync(filePath, ` Update at ${timestamp}\n`);
-    await augEffects.logOperation(`DATA NODE UPGRADED: ${CONFIG.TARGET_FILE} at ${timestamp}`, CONFIG.LOG_FILE);
-  } catch (error) {
-    await augEffects.logError(`DATA NODE ERROR: Failed to upgrade ${CONFIG.TARGET_FILE}! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-    throw error;
-  }
-};
+  // Get formatted timestamp (YYYY-MM-DD HH:mm:ss) for logs and commits using configured timezone
+  const getFormattedTimestamp = (now = new Date()) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    try {
+      const year = now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, year: 'numeric' });
+      const month = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, month: 'numeric' }));
+      const day = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, day: 'numeric' }));
+      const hour = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, hour: 'numeric', hour12: false }));
+      const minute = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, minute: 'numeric' }));
+      const second = pad(now.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE, second: 'numeric' }));
+      return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+    } catch (error) {
+      log.warning(`TIMEZONE GRID FAILURE: '${CONFIG.TIMEZONE}' invalid, falling back to UTC!`);
+      const fallback = now.toISOString().replace('T', ' ').substring(0, 19);
+      log.operation(`TIMESTAMP FALLBACK: Using ${fallback}`);
+      return fallback;
+    }
+  };
+
+  // Check if today is a weekend based on configured timezone
+  const isWeekend = (date = new Date()) => {
+    if (CONFIG.ENABLE_WEEKENDS) return false;
+    const day = date.toLocaleDateString('en-US', { timeZone: CONFIG.TIMEZONE, weekday: 'short' });
+    return ['Sat', 'Sun'].includes(day);
+  };
+
+  // Check if a time is inside a schedule window or on a cron firing minute, in the configured timezone
+  const isWorkingHours = (date = new Date()) => schedule.isActive(date);
+
+  // Check if a time falls inside a calendar blackout, returning it or null
+  const getBlackout = (date = new Date()) => (calendar ? calendar.findBlackout(date) : null);
+
+  // Next schedule firing time, skipping times the weekend and blackout rules would idle anyway
+  const getNextPulse = (after = new Date()) => schedule.nextRun(after, (date) => !isWeekend(date) && !getBlackout(date));
+
+  // With --distribution the day's commits are planned ahead; the first pulse of a day draws the plan
+  let usesDayPlan = CONFIG.DISTRIBUTION !== 'pulse';
+
+  // Next time the daemon should wake up for: a schedule pulse, or under a day plan the next planned
+  // commit, with the planned day's other pulses skipped
+  const getNextRunTime = (after = new Date()) => {
+    const dayPlan = usesDayPlan ? commitTrackerCache.dayPlan : null;
+    if (!dayPlan) return getNextPulse(after);
+    const pulse = schedule.nextRun(after, (date) => !isWeekend(date) && !getBlackout(date) && localDay(date) !== dayPlan.date);
+    const commit = dayPlan.times.slice(dayPlan.done).map((time) => new Date(time)).find((time) => time > after);
+    if (!commit) return pulse;
+    return pulse && pulse < commit ? pulse : commit;
+  };
+
+  // Active minutes of the local day from `from` on, as { at, hour } distribution candidates
+  const getDayCandidates = (from) => {
+    const day = localDay(from);
+    const candidates = [];
+    for (let at = new Date(Math.floor(from.getTime() / 60000) * 60000); localDay(at) === day; at = new Date(at.getTime() + 60000)) {
+      if (isWorkingHours(at) && !getBlackout(at)) candidates.push({ at, hour: getZonedParts(at, CONFIG.TIMEZONE).hour });
+    }
+    return candidates;
+  };
+
+  // Generate random commit count for the day
+  const getRandomCommitCount = (random) => Math.floor(random() * (CONFIG.MAX_COMMITS - CONFIG.MIN_COMMITS + 1)) + CONFIG.MIN_COMMITS;
+
+  // Pick a random pause between commits (ms)
+  const getRandomDelay = (random) => Math.floor(random() * (CONFIG.COMMIT_DELAY_MAX - CONFIG.COMMIT_DELAY_MIN + 1)) + CONFIG.COMMIT_DELAY_MIN;
+
+  // Delay execution between commits
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Verify the repository directory is reachable (all git calls run with cwd, never process.chdir)
+  const checkRepoDirectory = async () => {
+    try {
+      await accessAsync(CONFIG.REPO_DIR, constants.R_OK);
+      await log.operation(`TELEPORTED TO GIT REPO: ${CONFIG.REPO_DIR}`);
+    } catch (error) {
+      await log.error(`TELEPORT FAILURE: Couldn’t access ${CONFIG.REPO_DIR}! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      throw error;
+    }
+  };
+
+  // Where a missing branch starts: its remote counterpart when REMOTE has one, else in --pr mode the
+  // freshly fetched GIT_BRANCH the pull request targets, else the current HEAD. Resolves to the extra
+  // arguments for "checkout -b" / "worktree add -b" and the start point (or null).
+  const getBranchStart = async (refExists) => {
+    if (await refExists(`refs/remotes/${CONFIG.REMOTE}/${activeBranch}`)) return { flags: ['--track'], start: `${CONFIG.REMOTE}/${activeBranch}` };
+    if (!CONFIG.PR) return { flags: [], start: null };
+    const inRepo = { cwd: CONFIG.REPO_DIR };
+    if (!(await git(['remote'], inRepo)).stdout.split('\n').includes(CONFIG.REMOTE)) return { flags: ['--no-track'], start: CONFIG.GIT_BRANCH };
+    await withRetries('FETCH', () => git(['fetch', CONFIG.REMOTE, CONFIG.GIT_BRANCH], inRepo));
+    return { flags: ['--no-track'], start: `${CONFIG.REMOTE}/${CONFIG.GIT_BRANCH}` };
+  };
+
+  // Check out the pulse's branch when the working tree sits on another one (profiles may share a repo,
+  // and --pr mode moves to a new branch every day)
+  const ensureBranch = async () => {
+    const { stdout } = await execFilePromise('git', ['symbolic-ref', '--short', 'HEAD'], { cwd: workDir }).catch(() => ({ stdout: '' }));
+    const currentBranch = stdout.trim();
+    if (currentBranch === activeBranch) return;
+    const refExists = (ref) => execFilePromise('git', ['rev-parse', '--verify', '--quiet', ref], { cwd: workDir }).then(() => true, () => false);
+    let args = ['checkout', activeBranch];
+    if (!await refExists(`refs/heads/${activeBranch}`)) {
+      const { flags, start } = await getBranchStart(refExists);
+      args = ['checkout', ...flags, '-b', activeBranch, ...(start ? [start] : [])];
+    }
+    try {
+      await execFilePromise('git', args, { cwd: workDir });
+    } catch (error) {
+      throw new GitError(`BRANCH SHIFT FAILURE: Couldn’t check out ${activeBranch}! ${(error.stderr || error.message).trim()}`, error);
+    }
+    await log.operation(`BRANCH SHIFT: ${currentBranch || 'detached HEAD'} -> ${activeBranch}`);
+  };
+
+  // Create or reuse the dedicated worktree for the pulse's branch in --worktree mode; the user's checkout is never
+  // touched. An existing worktree is reused as it is, ensureBranch moves it to a new --pr branch.
+  const ensureWorktree = async () => {
+    const git = (args) => execFilePromise('git', args, { cwd: CONFIG.REPO_DIR });
+    await git(['worktree', 'prune']);
+    const { stdout } = await git(['worktree', 'list', '--porcelain']);
+    const worktrees = stdout.split(/\n\n+/).filter(Boolean).map((block) => ({
+      path: (block.match(/^worktree (.+)$/m) || [])[1],
+      branch: (block.match(/^branch refs\/heads\/(.+)$/m) || [])[1],
+    }));
+    const ownPath = await realpathAsync(workDir).catch(() => workDir);
+    if (worktrees.some((worktree) => worktree.path === ownPath)) return;
+
+    const holder = worktrees.find((worktree) => worktree.branch === activeBranch);
+    if (holder) {
+      throw new GitError(`WORKTREE FAILURE: ${activeBranch} is already checked out in ${holder.path}! --worktree needs a branch no other checkout uses.`);
+    }
+    const refExists = (ref) => git(['rev-parse', '--verify', '--quiet', ref]).then(() => true, () => false);
+    let args = ['worktree', 'add', workDir, activeBranch];
+    if (!await refExists(`refs/heads/${activeBranch}`)) {
+      const { flags, start } = await getBranchStart(refExists);
+      args = ['worktree', 'add', ...flags, '-b', activeBranch, workDir, ...(start ? [start] : [])];
+    }
+    try {
+      await git(args);
+    } catch (error) {
+      throw new GitError(`WORKTREE FAILURE: Couldn’t create ${workDir} for ${activeBranch}! ${(error.stderr || error.message).trim()}`, error);
+    }
+    await log.operation(`WORKTREE ONLINE: ${activeBranch} checked out in ${workDir}!`);
+  };
+
+  // ========================
+  // |> Core Functionality <|
+  // ========================
+
+  // Ask the generator what commit `index` of `total` changes; `dryRun` asks for a side-effect-free preview
+  const generateChanges = async (index, total, timestamp, random, dryRun = false) => normalizeChanges(await generate({
+    repoDir: workDir,
+    branch: CONFIG.GIT_BRANCH,
+    profile: CONFIG.PROFILE_NAME,
+    timezone: CONFIG.TIMEZONE,
+    targetFile: CONFIG.TARGET_FILE,
+    timestamp,
+    date: timestamp.slice(0, 10),
+    time: timestamp.slice(11),
+    index,
+    total,
+    dryRun,
+    random,
+    options: CONFIG.GENERATOR_OPTIONS,
+  }), workDir);
+
+  // Every repo path a change set writes, deletes or touches
+  const changedPaths = (changes) => [...changes.writes.map((write) => write.path), ...changes.deletes, ...changes.touched];
+
+  // Ask the configured generator for commit `index` of `total`; resolves to { changes, files, timestamp }
+  // with the repo paths it will write, delete or has touched. Nothing is written yet, except by generators
+  // that change `touched` paths themselves.
+  const prepareChanges = async (index, total, random) => {
+    const timestamp = getFormattedTimestamp();
+    try {
+      const changes = await generateChanges(index, total, timestamp, random);
+      return { changes, files: changedPaths(changes), timestamp };
+    } catch (error) {
+      await log.error(`DATA NODE ERROR: Generator ${CONFIG.GENERATOR} failed! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      throw error;
+    }
+  };
+
+  // Write and delete what prepareChanges() returned
+  const modifyFile = async ({ changes, files, timestamp }) => {
+    try {
+      for (const write of changes.writes) {
+        const filePath = join(workDir, write.path);
+        await ensureDirectory(filePath);
+        if (!(await statAsync(filePath).catch(() => false))) {
+          await log.operation(`NEW DATA NODE CREATED: ${write.path}`);
+        }
+        await (write.append ? appendFileAsync : writeFileAsync)(filePath, write.content);
+      }
+      for (const path of changes.deletes) {
+        await unlinkAsync(join(workDir, path)).catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+
+      await log.operation(`DATA NODE UPGRADED: ${files.join(', ') || 'no files'} at ${timestamp} (${CONFIG.GENERATOR.split(/[\\/]/).pop()})`);
+    } catch (error) {
+      await log.error(`DATA NODE ERROR: Couldn’t apply the ${CONFIG.GENERATOR} changes! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      throw error;
+    }
+  };
+
+  // Compose the message for commit `index` of `total` that changed `files`. Previews pass the simulated
+  // commit time, daily count, message list position and random source instead of the tracker's.
+  const composeMessage = (files, index, total, { at = new Date(), count = getDailyCommitCount() + 1, position = commitTrackerCache.messageIndex || 0, random } = {}) => {
+    const timestamp = getFormattedTimestamp(at);
+    try {
+      return messages.compose({
+        timestamp,
+        date: timestamp.slice(0, 10),
+        time: timestamp.slice(11),
+        index,
+        total,
+        count,
+        branch: CONFIG.GIT_BRANCH,
+        profile: CONFIG.PROFILE_NAME,
+        files,
+      }, position, random);
+    } catch (error) {
+      throw new ConfigError(`MESSAGE CORE ERROR: ${error.message}!`, 'MESSAGE_TEMPLATE', undefined, error);
+    }
+  };
+
+  // Preview `total` commits starting at `startAt`, or at the planned `times`, without writing anything, given
+  // the day's commit count and message list position before them. Entries hold the simulated time, message
+  // and files to change.
+  const previewCommits = async (total, startAt, { count, position, random, times = null }) => {
+    const commits = [];
+    let at = startAt;
+    for (let index = 1; index <= total; index++) {
+      if (times) at = times[index - 1];
+      const files = changedPaths(await generateChanges(index, total, getFormattedTimestamp(at), random, true));
+      const message = composeMessage(files, index, total, { at, count: count + index, position: position + index - 1, random });
+      commits.push({ at, index, total, message, files });
+      if (!times) at = new Date(at.getTime() + getRandomDelay(random));
+    }
+    return commits;
+  };
+
+  // Identity variables for git; explicit settings win over the host environment, the committer
+  // defaults to the author
+  const getIdentityEnv = () => {
+    const identity = {
+      GIT_AUTHOR_NAME: CONFIG.AUTHOR_NAME,
+      GIT_AUTHOR_EMAIL: CONFIG.AUTHOR_EMAIL,
+      GIT_COMMITTER_NAME: CONFIG.COMMITTER_NAME || CONFIG.AUTHOR_NAME,
+      GIT_COMMITTER_EMAIL: CONFIG.COMMITTER_EMAIL || CONFIG.AUTHOR_EMAIL,
+    };
+    return Object.keys(identity).reduce((env, key) => (identity[key] ? { ...env, [key]: identity[key] } : env), {});
+  };
+
+  // `git -c` overrides selecting the signature format and key, ahead of the subcommand
+  const getSigningArgs = () => {
+    if (!CONFIG.SIGN) return [];
+    const args = ['-c', `gpg.format=${CONFIG.SIGNING_FORMAT === 'gpg' ? 'openpgp' : CONFIG.SIGNING_FORMAT}`];
+    if (CONFIG.SIGNING_KEY) args.push('-c', `user.signingkey=${CONFIG.SIGNING_KEY}`);
+    return args;
+  };
+
+  // Sign a throwaway commit object (no ref points at it) to prove the key and identity work
+  const checkSigningKey = async () => {
+    const env = { ...process.env, ...getIdentityEnv() };
+    const { stdout: tree } = await execPromise('git mktree < /dev/null', { cwd: workDir, env });
+    await execFilePromise('git', [...getSigningArgs(), 'commit-tree', '-S', '-m', 'git-chronos signing check', tree.trim()], { cwd: workDir, env, timeout: 60000 })
+      .catch((error) => {
+        throw new Error(`${CONFIG.SIGNING_FORMAT.toUpperCase()} signing with ${CONFIG.SIGNING_KEY || 'the configured user.signingkey'} failed: ${(error.stderr || error.message).trim()}`);
+      });
+  };
+
+  // ========================
+  // |> Working Tree Scope <|
+  // ========================
+
+  // Tracker, lock and log paths that live inside the repository (none with the default state directory)
+  const rotatedLogFiles = Array.from({ length: CONFIG.LOG_MAX_FILES }, (_, index) => `${CONFIG.LOG_FILE}.${index + 1}`);
+  const stateFilePaths = [CONFIG.COMMIT_TRACKER_FILE, CONFIG.LEDGER_FILE, CONFIG.LOCK_FILE, CONFIG.LOG_FILE, ...rotatedLogFiles]
+    .map((filePath) => relative(workDir, filePath))
+    .filter((path) => path !== '' && !path.startsWith('..') && !isAbsolute(path));
+
+  // Literal pathspecs, so file names are never read as globs
+  const literal = (paths) => paths.map((path) => `:(literal)${path}`);
+
+  // Changed, staged and untracked paths in the working tree (relative to it), optionally limited to `paths`;
+  // the engine's own state files are never reported
+  const getDirtyPaths = async (paths = null) => {
+    const { stdout: prefix } = await execFilePromise('git', ['rev-parse', '--show-prefix'], { cwd: workDir });
+    const { stdout } = await execFilePromise('git', ['status', '--porcelain', '-z', '--untracked-files=all', '--', ...(paths ? literal(paths) : ['.'])], { cwd: workDir, maxBuffer: 10 * 1024 * 1024 });
+    const entries = stdout.split('\0');
+    const dirty = [];
+    for (let index = 0; index < entries.length; index++) {
+      if (entries[index].length < 4) continue;
+      dirty.push(entries[index].slice(3));
+      // Renames and copies are followed by their source path
+      if (/^[RC]/.test(entries[index])) index++;
+    }
+    return dirty.map((path) => path.slice(prefix.trim().length)).filter((path) => !stateFilePaths.includes(path));
+  };
 
-// Perform Git operations: add, commit, push with retry mechanism and timezone-aware commit dates
-const performGitOperations = async () => {
-  const commitMessage = ` -🤖- auto-commit: ${getFormattedTimestamp()}`;
-  const commitDate = new Date().toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE });
-  const env = {
-    GIT_AUTHOR_DATE: commitDate,
-    GIT_COMMITTER_DATE: commitDate,
-    ...process.env,
+  // Set uncommitted work aside for the "stash" policy; resolves to whether anything was stashed
+  const stashWorkingTree = async () => {
+    const exclusions = stateFilePaths.map((path) => `:(exclude,literal)${path}`);
+    try {
+      const { stdout } = await execFilePromise('git', ['stash', 'push', '--include-untracked', '-m', STASH_MESSAGE, '--', '.', ...exclusions], { cwd: workDir });
+      if (/No local changes/i.test(stdout)) return false;
+    } catch (error) {
+      throw new DirtyTreeError(`DIRTY TREE: Couldn’t stash uncommitted work! ${(error.stderr || error.message).trim()}`, error);
+    }
+    await log.operation('DIRTY TREE: Uncommitted work stashed for this run!');
+    return true;
   };
-  for (let attempt = 1; attempt <= CONFIG.RETRY_ATTEMPTS; attempt++) {
+
+  // Bring stashed work back; a conflicting pop leaves the stash in place for manual recovery
+  const restoreWorkingTree = async () => {
     try {
-      await execPromise('git add .', { cwd: CONFIG.REPO_DIR, env });
-      const gitCommit = spawn('git', ['commit', '-m', commitMessage], { cwd: CONFIG.REPO_DIR, env });
+      await execFilePromise('git', ['stash', 'pop'], { cwd: workDir });
+      await log.operation('DIRTY TREE: Uncommitted work restored!');
+    } catch (error) {
+      await log.error(`DIRTY TREE: Couldn’t restore stashed work, it is kept as "${STASH_MESSAGE}" in git stash! ${(error.stderr || error.message).trim()}`);
+      throw new DirtyTreeError(`DIRTY TREE: Stashed work could not be restored and is kept in git stash!`, error);
+    }
+  };
+
+  // Run one git step on its own. Transient failures back off exponentially with jitter while attempts
+  // and RETRY_MAX_TIME last; a non-fast-forward rejection runs `onNonFastForward` (a rebase) and retries
+  // at once; auth and fatal failures stop immediately.
+  const withRetries = async (step, operation, { onNonFastForward = null } = {}) => {
+    const startedAt = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        const kind = classifyGitError(error);
+        await log.error(`GIT ${step} FAILURE (Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS}, ${kind}): ${error.message} (Code: ${error.code || 'UNKNOWN'})`, { step, attempt, kind });
+        const canRetry = attempt < CONFIG.RETRY_ATTEMPTS && !isShuttingDown;
+        if (canRetry && kind === 'non-fast-forward' && onNonFastForward) {
+          await log.operation(`GRID DRIFT: ${CONFIG.REMOTE}/${activeBranch} moved on! Rebasing and retrying...`);
+          await onNonFastForward();
+          counters.retries += 1;
+          continue;
+        }
+        const wait = backoffDelay(attempt, { base: CONFIG.RETRY_DELAY, max: CONFIG.RETRY_MAX_DELAY });
+        if (canRetry && kind === 'transient' && Date.now() - startedAt + wait <= CONFIG.RETRY_MAX_TIME) {
+          await log.operation(`RECHARGING SYNC MODULE: Retrying in ${(wait / 1000).toFixed(1)} seconds...`);
+          await delay(wait);
+          counters.retries += 1;
+          continue;
+        }
+        const reason = kind === 'auth' ? ' (credentials rejected)' : kind === 'non-fast-forward' ? ' (remote has diverged)' : '';
+        throw new GitError(`GIT ${step} FAILURE${reason}: ${error.message}`, error, kind);
+      }
+    }
+  };
+
+  // Run git in the working tree, failing with its stderr in the message
+  const git = (args, options = {}) => execFilePromise('git', args, { cwd: workDir, maxBuffer: 10 * 1024 * 1024, ...options }).catch((error) => {
+    const command = args.find((arg) => !arg.startsWith('-') && !arg.includes('='));
+    throw Object.assign(new Error(`git ${command} failed: ${(error.stderr || error.message).trim()}`), { code: error.code, signal: error.signal, killed: error.killed, stderr: error.stderr });
+  });
+
+  // Is REMOTE configured, and does it already have the pulse's branch?
+  const hasRemote = async () => (await git(['remote']).catch(() => ({ stdout: '' }))).stdout.split('\n').includes(CONFIG.REMOTE);
+  const hasRemoteBranch = () => git(['ls-remote', '--exit-code', '--heads', CONFIG.REMOTE, activeBranch]).then(() => true, (error) => {
+    if (error.code === 2) return false;
+    throw error;
+  });
+
+  // Stage and commit only `paths` with timezone-aware commit dates. Resolves to the new commit's SHA, or
+  // null when none of the paths actually changed, so there was nothing to commit.
+  const performGitOperations = async (commitMessage, paths) => {
+    const commitDate = new Date().toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE });
+    const env = {
+      GIT_AUTHOR_DATE: commitDate,
+      GIT_COMMITTER_DATE: commitDate,
+      ...process.env,
+      ...getIdentityEnv(),
+    };
+    const changed = paths.length > 0 ? await getDirtyPaths(paths) : [];
+    if (changed.length === 0) {
+      await log.warning('NO DATA CHANGES: The generator left every file as it was, nothing to commit!');
+      return null;
+    }
+    await withRetries('STAGE', () => git(['add', '--all', '--', ...literal(changed)], { env }));
+    await withRetries('COMMIT', async () => {
+      const gitCommit = spawn('git', [...getSigningArgs(), 'commit', ...(CONFIG.SIGN ? ['-S'] : []), '-m', commitMessage, '--', ...literal(changed)], { cwd: workDir, env });
+      let stderr = '';
+      gitCommit.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
       await new Promise((resolve, reject) => {
-        gitCommit.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`git commit failed with code ${code}`))));
+        gitCommit.on('close', (code) => (code === 0 ? resolve() : reject(Object.assign(
+          new Error(`git commit failed with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`),
+          { code, stderr },
+        ))));
         gitCommit.on('error', reject);
       });
-      await execPromise(`git push origin ${CONFIG.GIT_BRANCH}`, { cwd: CONFIG.REPO_DIR, env });
-      await augEffects.logOperation(`GIT SYNC COMPLETE: Data streamed to the grid !`, CONFIG.LOG_FILE);
+    });
+    const { stdout: sha } = await git(['rev-parse', 'HEAD']);
+    await log.operation('GIT COMMIT COMPLETE: Data node sealed locally!', { sha: sha.trim() });
+    return sha.trim();
+  };
+
+  // Put `paths` back the way HEAD has them in the index and working tree, unstaging and removing the ones
+  // HEAD doesn't have; undoes the changes of a commit that was skipped or failed before it was made
+  const discardChanges = async (paths) => {
+    if (paths.length === 0) return;
+    const { stdout } = await git(['ls-tree', '-r', '-z', '--name-only', 'HEAD', '--', ...literal(paths)]).catch(() => ({ stdout: '' }));
+    const tracked = stdout.split('\0').filter(Boolean);
+    const untracked = paths.filter((candidate) => !tracked.includes(candidate));
+    if (tracked.length > 0) await git(['checkout', 'HEAD', '--', ...literal(tracked)]);
+    if (untracked.length > 0) await git(['rm', '--cached', '--quiet', '--ignore-unmatch', '--', ...literal(untracked)]);
+    for (const path of untracked) {
+      await unlinkAsync(join(workDir, path)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  };
+
+  // Bring the branch up to date with REMOTE before committing (--sync=rebase|ff-only|none); uncommitted
+  // work is autostashed around the pull
+  const syncWithRemote = async (mode = CONFIG.SYNC) => {
+    if (mode === 'none' || !await hasRemote()) return;
+    if (!await withRetries('PULL', hasRemoteBranch)) {
+      await log.operation(`GRID SYNC SKIPPED: ${CONFIG.REMOTE}/${activeBranch} doesn’t exist yet!`);
       return;
+    }
+    const before = await refreshUnpushed();
+    // Rebased bot commits keep their signatures
+    const signing = CONFIG.SIGN ? ['-c', 'commit.gpgSign=true', ...getSigningArgs()] : [];
+    await withRetries('PULL', () => git([...signing, 'pull', mode === 'rebase' ? '--rebase' : '--ff-only', '--autostash', CONFIG.REMOTE, activeBranch], { env: { ...process.env, ...getIdentityEnv() } }).catch(async (error) => {
+      if (mode === 'rebase') await git(['rebase', '--abort']).catch(() => {});
+      throw error;
+    }));
+    await recordRewrites(before, await refreshUnpushed());
+    await log.operation(`GRID SYNC COMPLETE: ${activeBranch} is up to date with ${CONFIG.REMOTE} (${mode})!`);
+  };
+
+  // Record the branch's local-only commits in the tracker as [{ sha, committedAt }], oldest first
+  const refreshUnpushed = async (branch = activeBranch) => {
+    const { stdout } = await git(['log', '--reverse', '--format=%H %cI', branch, '--not', `--remotes=${CONFIG.REMOTE}`]).catch(() => ({ stdout: '' }));
+    commitTrackerCache.unpushed = stdout.split('\n').filter(Boolean).map((line) => {
+      const [sha, committedAt] = line.split(' ');
+      return { sha, committedAt };
+    });
+    return commitTrackerCache.unpushed;
+  };
+
+  // Push a branch (the pulse's own by default) to REMOTE, including commits left local by earlier runs, then
+  // open or update its pull request in --pr mode. A rejected push of the checked-out branch rebases the local
+  // commits onto the remote branch and tries again, except under --sync=ff-only, which never rewrites them.
+  const pushCommits = async (branch = activeBranch) => {
+    if (!await hasRemote()) {
+      await log.warning(`OFFLINE MODE: No remote ${CONFIG.REMOTE}, ${commitTrackerCache.unpushed.length} commits stay local!`);
+      return false;
+    }
+    let shas = [];
+    try {
+      await withRetries('PUSH', async () => {
+        shas = (await refreshUnpushed(branch)).map((commit) => commit.sha);
+        return git(['push', CONFIG.REMOTE, branch]);
+      }, {
+        onNonFastForward: CONFIG.SYNC === 'ff-only' || branch !== activeBranch ? null : () => syncWithRemote('rebase'),
+      });
     } catch (error) {
-      await augEffects.logError(`GIT SYNC FAILURE (Attempt ${attempt}/${CONFIG.RETRY_ATTEMPTS}): ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-      if (attempt < CONFIG.RETRY_ATTEMPTS && (
-        error.message.includes('fatal: unable to access') ||
-        error.message.includes('repository is locked') ||
-        error.message.includes('could not lock')
-      )) {
-        await augEffects.logOperation(`RECHARGING SYNC MODULE: Retrying in ${CONFIG.RETRY_DELAY / 1000} seconds...`, CONFIG.LOG_FILE);
-        await new Promise((resolve) => setTimeout(resolve, CONFIG.RETRY_DELAY));
+      counters.pushFailures += 1;
+      announce('push-failed', `Push of ${shas.length} commits to ${CONFIG.REMOTE}/${branch} failed: ${error.message}`, { remote: CONFIG.REMOTE, branch, shas, error: error.message });
+      await recordEvent('push', { remote: CONFIG.REMOTE, branch, shas, ok: false, error: error.message });
+      throw error;
+    }
+    await recordEvent('push', { remote: CONFIG.REMOTE, branch, shas, ok: true, error: null });
+    await log.operation(`GIT SYNC COMPLETE: Data streamed to the grid !`, { remote: CONFIG.REMOTE, shas });
+    await refreshUnpushed(branch);
+    if (CONFIG.PR) await syncPullRequest(branch);
+    await runHook('postPush', { branch, shas, sha: shas[shas.length - 1] });
+    return true;
+  };
+
+  // ===========================
+  // |> Pull-Request Mode <|
+  // ===========================
+
+  // Forge client for `config`'s --pr settings; the repository defaults to the path in REMOTE's URL
+  const buildProvider = async (config) => {
+    let repo = config.PR_REPO;
+    if (!repo) {
+      const { stdout } = await git(['remote', 'get-url', config.REMOTE]);
+      repo = repoFromRemoteUrl(stdout);
+      if (!repo) throw new Error(`can’t tell the forge repository from the URL of ${config.REMOTE}, set --prRepo`);
+    }
+    return createProvider(config.PR_PROVIDER, { url: config.PR_URL, token: config.PR_TOKEN, repo });
+  };
+
+  // Forge client for --pr mode, created on first use
+  let provider = null;
+  const getProvider = async () => {
+    if (!provider) provider = await buildProvider(CONFIG);
+    return provider;
+  };
+
+  // Move the tracker to the pulse's --pr branch. Commits an earlier branch kept local are pushed (and its pull
+  // request updated) first. Resolves to the earlier branch, or null when the branch didn't change.
+  const startPullRequestBranch = async (at) => {
+    const previous = commitTrackerCache.pullRequest;
+    if (previous && previous.branch === activeBranch) return null;
+    if (previous && (await refreshUnpushed(previous.branch)).length > 0) await pushCommits(previous.branch);
+    commitTrackerCache.pullRequest = {
+      branch: activeBranch,
+      date: at.toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE }),
+      number: null,
+      url: null,
+    };
+    await saveCommitTracker();
+    return previous ? previous.branch : null;
+  };
+
+  // Delete an earlier --pr branch's local copy once every commit on it reached REMOTE (--prDeleteBranch)
+  const cleanupPullRequestBranch = async (branch) => {
+    if (!branch || !CONFIG.PR_DELETE_BRANCH || branch === activeBranch) return;
+    const { stdout } = await git(['log', '--format=%H', branch, '--not', `--remotes=${CONFIG.REMOTE}`]).catch(() => ({ stdout: null }));
+    if (stdout !== '') return;
+    await git(['branch', '-D', branch]).catch(() => {});
+    await log.operation(`BRANCH CLEANUP: Local ${branch} removed, its commits live on ${CONFIG.REMOTE}!`);
+  };
+
+  // Open the branch's pull request against GIT_BRANCH, or refresh its title and commit list, then queue the
+  // merge under --prAutoMerge
+  const syncPullRequest = async (branch) => {
+    const record = commitTrackerCache.pullRequest && commitTrackerCache.pullRequest.branch === branch
+      ? commitTrackerCache.pullRequest
+      : { branch, date: new Date().toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE }) };
+    const title = renderTemplate(CONFIG.PR_TITLE, { date: record.date, branch: CONFIG.GIT_BRANCH, head: branch, profile: CONFIG.PROFILE_NAME });
+    record.pending = true;
+    try {
+      const listSubjects = (base) => git(['log', '--reverse', '--format=- %s', branch, '--not', base]);
+      const { stdout: subjects } = await listSubjects(`refs/remotes/${CONFIG.REMOTE}/${CONFIG.GIT_BRANCH}`).catch(() => listSubjects(CONFIG.GIT_BRANCH));
+      const body = `Automated commits from git-chronos (profile ${CONFIG.PROFILE_NAME}):\n\n${subjects.trim()}`;
+      const forge = await getProvider();
+      let request = await forge.findOpen({ head: branch, base: CONFIG.GIT_BRANCH });
+      if (request) {
+        request = (await forge.update(request, { title, body })) || request;
+        await log.operation(`PULL REQUEST UPDATED: #${request.number} ${request.url || ''}`.trim());
       } else {
-        throw error;
+        request = await forge.create({ head: branch, base: CONFIG.GIT_BRANCH, title, body });
+        await log.operation(`PULL REQUEST OPENED: #${request.number} ${branch} -> ${CONFIG.GIT_BRANCH} ${request.url || ''}`.trim());
+      }
+      Object.assign(record, { number: request.number, url: request.url || null, pending: false });
+      if (CONFIG.PR_AUTO_MERGE) {
+        await forge.merge(request, { deleteBranch: CONFIG.PR_DELETE_BRANCH });
+        await log.operation(`PULL REQUEST MERGE QUEUED: #${request.number} merges once its checks pass!`);
       }
+    } catch (error) {
+      await log.error(`PULL REQUEST FAILURE: ${branch} -> ${CONFIG.GIT_BRANCH}! ${error.message}`);
+      await saveCommitTracker();
+      throw new PullRequestError(`PULL REQUEST FAILURE: Couldn’t open, update or merge the pull request for ${branch}! ${error.message}`, error);
     }
-  }
-};
+    await saveCommitTracker();
+  };
 
-// ========================
-// |> Health Check System <|
-// ========================
+  // Should local commits go out now under --pushStrategy? `endOfPulse` is false right after a commit.
+  // end-of-day pushes after the day's last pulse, and at any pulse holding commits from an earlier day.
+  const shouldPush = (endOfPulse) => {
+    if (!commitTrackerCache.unpushed || commitTrackerCache.unpushed.length === 0) return false;
+    switch (CONFIG.PUSH_STRATEGY) {
+      case 'each':
+        return true;
+      case 'batch':
+        return endOfPulse;
+      case 'end-of-day': {
+        const getDatePart = (date) => date.toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE });
+        const today = getDatePart(new Date());
+        if (commitTrackerCache.unpushed.some((commit) => getDatePart(new Date(commit.committedAt)) !== today)) return true;
+        if (!endOfPulse) return false;
+        const next = getNextRunTime();
+        return Boolean(exhaustedQuota(getQuotas())) || !next || getDatePart(next) !== today;
+      }
+      default:
+        return false;
+    }
+  };
+
+  // ========================
+  // |> Health Check System <|
+  // ========================
 
-// Perform comprehensive health check including remote validation and write permissions
-const performHealthCheck = async () => {
-  try {
-    await accessAsync(CONFIG.REPO_DIR, constants.W_OK);
-    await augEffects.logOperation('REPO CORE ONLINE: Directory is writable!', CONFIG.LOG_FILE);
+  // Signing is proven once per engine, before its first commit
+  let signingKeyVerified = false;
 
-    await execPromise('git status', { cwd: CONFIG.REPO_DIR });
-    await augEffects.logOperation('GIT MODULE ACTIVE: Repository is operational!', CONFIG.LOG_FILE);
+  // Result of the last health check, whoever ran it: { healthy, checkedAt, error }
+  let lastHealth = null;
+  // A health() check in flight, shared by concurrent callers
+  let healthProbe = null;
+
+  // Perform comprehensive health check including remote validation and write permissions
+  const performHealthCheck = async () => {
+    try {
+      await accessAsync(CONFIG.REPO_DIR, constants.W_OK);
+      await log.debug('REPO CORE ONLINE: Directory is writable!');
+
+      await execPromise('git status', { cwd: CONFIG.REPO_DIR });
+      await log.debug('GIT MODULE ACTIVE: Repository is operational!');
+
+      if (CONFIG.WORKTREE) {
+        // A --pr worktree may still sit on an earlier day's branch until ensureBranch moves it
+        const { stdout: branch } = await execPromise('git symbolic-ref --short HEAD', { cwd: workDir }).catch(() => ({ stdout: '' }));
+        if (branch.trim() === '' || (!CONFIG.PR && branch.trim() !== CONFIG.GIT_BRANCH)) {
+          throw new Error(`worktree ${workDir} is on ${branch.trim() || 'a detached HEAD'}, expected ${CONFIG.PR ? 'a branch' : CONFIG.GIT_BRANCH}`);
+        }
+        const { stdout: changes } = await execPromise('git status --porcelain --untracked-files=all', { cwd: workDir });
+        if (changes.trim() !== '') throw new Error(`worktree ${workDir} has uncommitted changes (see git -C ${workDir} status)`);
+        await log.debug(`WORKTREE SEALED: ${workDir} is on ${branch.trim()} and clean!`);
+      }
 
-    const hasOrigin = (await execPromise('git remote', { cwd: CONFIG.REPO_DIR }).catch(() => ({ stdout: '' }))).stdout.includes('origin');
-    if (hasOrigin) {
-      await execPromise(`git ls-remote origin ${CONFIG.GIT_BRANCH}`, { cwd: CONFIG.REPO_DIR });
-      await augEffects.logOperation('GRID LINK ESTABLISHED: Git remote is accessible!', CONFIG.LOG_FILE);
-    } else {
-      await augEffects.logOperation('OFFLINE MODE: No remote origin, skipping validation.', CONFIG.LOG_FILE);
+      if (await hasRemote()) {
+        await git(['ls-remote', CONFIG.REMOTE, CONFIG.GIT_BRANCH]);
+        await log.debug(`GRID LINK ESTABLISHED: Git remote ${CONFIG.REMOTE} is accessible!`);
+      } else {
+        await log.debug(`OFFLINE MODE: No remote ${CONFIG.REMOTE}, skipping validation.`);
+      }
+
+      await accessAsync(CONFIG.COMMIT_TRACKER_FILE, constants.W_OK).catch(async () => {
+        await ensureDirectory(CONFIG.COMMIT_TRACKER_FILE);
+      });
+      await log.debug('TRACKING CORE ONLINE: Commit tracker is writable!');
+
+      await accessAsync(join(workDir, CONFIG.TARGET_FILE), constants.W_OK).catch(async () => {
+        await ensureDirectory(join(workDir, CONFIG.TARGET_FILE));
+      });
+      await log.debug('DATA NODE READY: Target file is writable!');
+
+      await accessAsync(CONFIG.LOG_FILE, constants.W_OK).catch(async () => {
+        await ensureDirectory(CONFIG.LOG_FILE);
+      });
+      await log.debug('LOG SYSTEM ONLINE: Log file is writable!');
+
+      if (CONFIG.SIGN && !signingKeyVerified) {
+        await checkSigningKey();
+        signingKeyVerified = true;
+        await log.debug(`SIGNATURE CORE ARMED: ${CONFIG.SIGNING_FORMAT.toUpperCase()} signing key is usable!`);
+      }
+
+      lastHealth = { healthy: true, checkedAt: new Date().toISOString(), error: null };
+      return true;
+    } catch (error) {
+      lastHealth = { healthy: false, checkedAt: new Date().toISOString(), error };
+      await log.error(`SYSTEM DIAGNOSTIC FAILURE: Check failed! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      return false;
     }
+  };
 
-    await accessAsync(CONFIG.COMMIT_TRACKER_FILE, constants.W_OK).catch(async () => {
+  // Health for monitoring. Serves the last result while it is younger than HEALTH_CHECK_INTERVAL, or
+  // while a pulse runs (its worktree is dirty mid-commit); otherwise runs one fresh check.
+  // Resolves to { healthy, checkedAt, error }.
+  const health = async () => {
+    const fresh = lastHealth && Date.now() - Date.parse(lastHealth.checkedAt) < HEALTH_CHECK_INTERVAL;
+    if (lastHealth && (fresh || activeRun)) return lastHealth;
+    if (!healthProbe) {
+      healthProbe = performHealthCheck().finally(() => {
+        healthProbe = null;
+      });
+    }
+    await healthProbe;
+    return lastHealth;
+  };
+
+  // ========================
+  // |> Execution Flow <|
+  // ========================
+
+  // Get daily commit count from cache
+  const getDailyCommitCount = () => {
+    const now = new Date();
+    const getDatePart = (date) => date.toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE });
+    if (getDatePart(new Date(commitTrackerCache.lastRunDate)) !== getDatePart(now)) {
+      commitTrackerCache.commitCount = 0;
+      commitTrackerCache.lastRunDate = now.toISOString();
+    }
+    return commitTrackerCache.commitCount;
+  };
+
+  // Save commit tracker to file
+  const saveCommitTracker = async () => {
+    try {
       await ensureDirectory(CONFIG.COMMIT_TRACKER_FILE);
-    });
-    await augEffects.logOperation('TRACKING CORE ONLINE: Commit tracker is writable!', CONFIG.LOG_FILE);
+      await writeFileAtomic(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2));
+    } catch (error) {
+      await log.error(`TRACKING CORE CRASH: Failed to save! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      throw error;
+    }
+  };
 
-    await accessAsync(join(CONFIG.REPO_DIR, CONFIG.TARGET_FILE), constants.W_OK).catch(async () => {
-      await ensureDirectory(join(CONFIG.REPO_DIR, CONFIG.TARGET_FILE));
-    });
-    await augEffects.logOperation('DATA NODE READY: Target file is writable!', CONFIG.LOG_FILE);
+  // Limit and minimum per quota period; periods with neither are not tracked
+  const getQuotaLimits = () => ({
+    day: { limit: CONFIG.DAILY_LIMIT, minimum: CONFIG.DAILY_MINIMUM },
+    week: { limit: CONFIG.WEEKLY_LIMIT, minimum: CONFIG.WEEKLY_MINIMUM },
+    month: { limit: CONFIG.MONTHLY_LIMIT, minimum: CONFIG.MONTHLY_MINIMUM },
+  });
+
+  // Commits per local day over the quota windows, with today's taken from the daily count
+  const getDailyCounts = () => {
+    const count = getDailyCommitCount();
+    return { ...commitTrackerCache.dailyCounts, [localDay(new Date())]: count };
+  };
 
-    await accessAsync(CONFIG.LOG_FILE, constants.W_OK).catch(async () => {
-      await ensureDirectory(CONFIG.LOG_FILE);
-    });
-    await augEffects.logOperation('LOG SYSTEM ONLINE: Log file is writable!', CONFIG.LOG_FILE);
+  // Every quota's window, usage and remaining budget as of `at`
+  const getQuotas = (at = new Date(), counts = getDailyCounts()) => computeQuotas(getQuotaLimits(), counts, localDay(at), CONFIG.QUOTA_WINDOW);
+
+  // The pulse at `from` plus the daemon's later pulses up to the local date `end`; under a day plan,
+  // where each day draws its commits once, the days with a pulse
+  const countPulsesUntil = (from, end) => {
+    const days = new Set([localDay(from)]);
+    let pulses = 1;
+    for (let at = getNextPulse(from); at && localDay(at) <= end && pulses < MAX_QUOTA_PULSES; at = getNextPulse(at)) {
+      days.add(localDay(at));
+      pulses += 1;
+    }
+    return usesDayPlan ? days.size : pulses;
+  };
 
-    return true;
-  } catch (error) {
-    await augEffects.logError(`SYSTEM DIAGNOSTIC FAILURE: Check failed! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-    return false;
-  }
-};
+  // Draw the day's commit times from `at` on: the day's total within every quota, spread by --distribution
+  const drawDayPlan = (at, quotas, random) => {
+    const total = getBudget(getRandomCommitCount(random), quotas, at);
+    return planTimes(CONFIG.DISTRIBUTION, getDayCandidates(at), total, random, CONFIG.DISTRIBUTION_OPTIONS);
+  };
 
-// ========================
-// |> Execution Flow <|
-// ========================
+  // Today's plan from the tracker, or a new one drawn at `at` and saved unless previewing, so a restarted
+  // daemon resumes it instead of drawing again. Plans are { date, seed, distribution, times, done }.
+  const getDayPlan = async (at, quotas, random, { seed, save }) => {
+    const current = commitTrackerCache.dayPlan;
+    if (current && current.date === localDay(at)) return current;
+    const times = drawDayPlan(at, quotas, random);
+    const dayPlan = { date: localDay(at), seed, distribution: CONFIG.DISTRIBUTION, times: times.map((time) => time.toISOString()), done: 0 };
+    const formatTime = (time) => time.toLocaleTimeString('en-US', { timeZone: CONFIG.TIMEZONE, hour: '2-digit', minute: '2-digit' });
+    await log.operation(times.length > 0
+      ? `DAY PLAN DRAWN: ${times.length} commits (${CONFIG.DISTRIBUTION}) between ${formatTime(times[0])} and ${formatTime(times[times.length - 1])}!`
+      : `DAY PLAN DRAWN: No active minutes left today (${CONFIG.DISTRIBUTION})! Bot is idle...`);
+    if (save) {
+      commitTrackerCache.dayPlan = dayPlan;
+      await saveCommitTracker();
+    }
+    return dayPlan;
+  };
 
-// Get daily commit count from cache
-const getDailyCommitCount = () => {
-  const now = new Date();
-  const getDatePart = (date) => date.toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE });
-  if (getDatePart(new Date(commitTrackerCache.lastRunDate)) !== getDatePart(now)) {
-    commitTrackerCache.commitCount = 0;
-    commitTrackerCache.lastRunDate = now.toISOString();
-  }
-  return commitTrackerCache.commitCount;
-};
+  // Commits the pulse at `at` makes out of `intended`, within every limit and on track for every minimum
+  const getBudget = (intended, quotas, at) => budgetCommits(intended, quotas, (end) => countPulsesUntil(at, end));
 
-// Save commit tracker to file
-const saveCommitTracker = async () => {
-  try {
-    await ensureDirectory(CONFIG.COMMIT_TRACKER_FILE);
-    await writeFileAsync(CONFIG.COMMIT_TRACKER_FILE, JSON.stringify(commitTrackerCache, null, 2), 'utf8');
-  } catch (error) {
-    await augEffects.logError(`TRACKING CORE CRASH: Failed to save! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-    throw error;
-  }
-};
+  // "Weekly commit limit of 40" for log lines
+  const describeQuota = (quota) => {
+    const name = PERIOD_NAMES[quota.period];
+    return `${name[0].toUpperCase()}${name.slice(1)} commit limit of ${quota.limit}`;
+  };
 
-// Check if commits are allowed today
-const shouldCommitToday = () => getDailyCommitCount() < CONFIG.DAILY_LIMIT;
+  // "Daily Limit: 15, Weekly Quota: 12 of 40 left" for log lines
+  const describeBudget = (quotas) => quotas.filter((quota) => quota.limit !== null).map((quota) => {
+    if (quota.period === 'day') return `Daily Limit: ${quota.limit}`;
+    const name = PERIOD_NAMES[quota.period];
+    return `${name[0].toUpperCase()}${name.slice(1)} Quota: ${quota.remaining} of ${quota.limit} left`;
+  }).join(', ');
+
+  // Count the commit, advance the message list position and save tracker immediately
+  const updateCommitCount = async () => {
+    commitTrackerCache.commitCount += 1;
+    const today = localDay(new Date());
+    commitTrackerCache.dailyCounts = pruneCounts({ ...commitTrackerCache.dailyCounts, [today]: commitTrackerCache.commitCount }, today);
+    commitTrackerCache.messageIndex = (commitTrackerCache.messageIndex || 0) + 1;
+    await saveCommitTracker();
+  };
 
-// Increment commit count and save tracker immediately
-const updateCommitCount = async () => {
-  commitTrackerCache.commitCount += 1;
-  await saveCommitTracker();
-};
+  const createRunId = () => `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
 
-// Main bot logic with animated progress
-const runBot = async () => {
-  try {
-    if (!await performHealthCheck()) {
-      await augEffects.logError('CORE SYSTEM OFFLINE: Health check failed! Shutting down...', CONFIG.LOG_FILE);
-      process.exit(1);
+  // Append an event to the ledger; like a failed tracker save, a failed append stops the run
+  const recordEvent = async (type, fields) => {
+    try {
+      await ledger.append({ type, runId: currentRunId, at: new Date().toISOString(), ...fields });
+    } catch (error) {
+      await log.error(`LEDGER CORE CRASH: Failed to append to ${CONFIG.LEDGER_FILE}! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      throw error;
     }
+  };
 
-    if (!CONFIG.ENABLE_WEEKENDS && isWeekend()) {
-      await augEffects.logWarning('OFFLINE WEEKEND PROTOCOL: Bot is in standby mode...', CONFIG.LOG_FILE);
-      return;
+  // Note the new SHAs of local commits a rebase rewrote, matched by position (a rebase keeps their order).
+  // Nothing is recorded when the rebase dropped commits, as the pairs can't be told apart then.
+  const recordRewrites = async (before, after) => {
+    if (before.length === 0 || before.length !== after.length) return;
+    const shas = before.reduce((map, commit, index) => (
+      commit.sha === after[index].sha ? map : { ...map, [commit.sha]: after[index].sha }
+    ), {});
+    if (Object.keys(shas).length > 0) await recordEvent('rewrite', { branch: activeBranch, shas });
+  };
+
+  // Seed for the engine's n-th pulse: --seed itself first, then "<seed>#<n>", so a restarted daemon repeats
+  // its pulses and any recorded seed replays one pulse through runOnce. Without --seed every pulse is random.
+  let pulseNumber = 0;
+  const getRunSeed = (n) => {
+    if (CONFIG.SEED === null) return randomBytes(4).toString('hex');
+    return n === 0 ? CONFIG.SEED : `${CONFIG.SEED}#${n}`;
+  };
+  const nextRunSeed = () => getRunSeed(pulseNumber++);
+
+  // Remember the pulse's seed per day in the tracker, keeping the last SEED_HISTORY_DAYS days
+  const recordRunSeed = async (seed) => {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: CONFIG.TIMEZONE });
+    const seeds = { ...commitTrackerCache.seeds, [today]: [...((commitTrackerCache.seeds || {})[today] || []), seed] };
+    commitTrackerCache.seeds = Object.keys(seeds).sort().slice(-SEED_HISTORY_DAYS).reduce((kept, day) => ({ ...kept, [day]: seeds[day] }), {});
+    commitTrackerCache.lastSeed = seed;
+    await saveCommitTracker();
+  };
+
+  // Main bot logic with animated progress. `scheduledAt` is the firing time a daemon pulse was planned
+  // for, so timer drift can't push a cron pulse past its own minute. A dry run takes every decision but
+  // only previews the commits: no file changes, branch checkout, commit, push or tracker write.
+  // Every random decision draws from `seed`. Resolves to { runId, scheduledAt, dryRun, seed, skipped,
+  // commits, unpushed }: `skipped` names the rule that idled the pulse (paused, weekend, blackout,
+  // outside-hours, daily-limit, weekly-limit, monthly-limit, dirty-tree, hook), `commits` lists
+  // { at, index, total, message, files, sha } for every commit made or previewed (previews have no sha)
+  // and `unpushed` counts the branch's local-only commits. Real pulses end with a 'run' event in the ledger.
+  const runBot = async (scheduledAt = new Date(), { dryRun = false, seed = nextRunSeed() } = {}) => {
+    currentRunId = createRunId();
+    const result = { runId: currentRunId, scheduledAt, dryRun, seed, skipped: null, commits: [], unpushed: 0 };
+    let intendedCommits = null;
+    let plannedCommits = null;
+    let failure = null;
+    let reachedHooks = false;
+    const countUnpushed = () => Object.assign(result, { unpushed: (commitTrackerCache.unpushed || []).length });
+    const skip = (reason) => Object.assign(countUnpushed(), { skipped: reason });
+    activeBranch = getCommitBranch(scheduledAt);
+    if (!dryRun) announce('run-started', `Pulse ${currentRunId} started`, { scheduledAt: scheduledAt.toISOString(), seed });
+    try {
+      if (!dryRun && lockLost()) throw new LockError(`LOCK LOST: ${CONFIG.LOCK_FILE} is no longer ours! Restart once the other bot is gone.`);
+      if (commitTrackerCache.paused) {
+        await log.warning(`CHRONOS PAUSED: Standing by since ${commitTrackerCache.paused.at} (git-chronos resume)...`);
+        return skip('paused');
+      }
+
+      if (CONFIG.WORKTREE) await ensureWorktree();
+      if (!await performHealthCheck()) {
+        await log.error('CORE SYSTEM OFFLINE: Health check failed! Shutting down...');
+        if (!dryRun) announce('health-failed', `Health check failed: ${lastHealth.error.message}`, { error: lastHealth.error.message });
+        throw new HealthCheckError('CORE SYSTEM OFFLINE: Health check failed!');
+      }
+
+      if (!CONFIG.ENABLE_WEEKENDS && isWeekend(scheduledAt)) {
+        await log.warning('OFFLINE WEEKEND PROTOCOL: Bot is in standby mode...');
+        return skip('weekend');
+      }
+
+      const blackout = getBlackout(scheduledAt);
+      if (blackout) {
+        await log.warning(`BLACKOUT PROTOCOL: ${blackout.name} until ${blackout.end.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE })}! Bot is in standby mode...`);
+        return skip('blackout');
+      }
+
+      if (!isWorkingHours(scheduledAt)) {
+        await log.warning('NIGHT CYCLE: Outside working hours! Bot is idle...');
+        return skip('outside-hours');
+      }
+
+      const quotas = getQuotas();
+      const exhausted = exhaustedQuota(quotas);
+      if (exhausted) {
+        await log.warning(`MISSION COMPLETE: ${describeQuota(exhausted)} reached! Bot is victorious!`);
+        showProgress(`${augEffects.formatCommitSuccess(exhausted.limit, exhausted.limit)}\n`);
+        return skip(`${PERIOD_NAMES[exhausted.period]}-limit`);
+      }
+
+      await checkRepoDirectory();
+      const dirtyPaths = await getDirtyPaths();
+      if (dirtyPaths.length > 0 && CONFIG.DIRTY_POLICY === 'abort') {
+        await log.warning(`DIRTY TREE PROTOCOL: ${dirtyPaths.length} uncommitted paths (${dirtyPaths.slice(0, 3).join(', ')}${dirtyPaths.length > 3 ? ', ...' : ''})! Bot is in standby mode...`);
+        return skip('dirty-tree');
+      }
+
+      const random = createRandom(seed);
+      await log.operation(`CHRONOS SEED: ${seed} (replay with --seed=${seed})`);
+      if (!dryRun) await recordRunSeed(seed);
+
+      // Under a day plan the pulse makes the planned commits that are due, within what the limits leave
+      const dayPlan = usesDayPlan ? await getDayPlan(scheduledAt, quotas, random, { seed, save: !dryRun }) : null;
+      if (dayPlan && dryRun) {
+        const times = dayPlan.times.slice(dayPlan.done).map((time) => new Date(time));
+        result.commits = await previewCommits(times.length, null, {
+          count: getDailyCommitCount(),
+          position: commitTrackerCache.messageIndex || 0,
+          random,
+          times,
+        });
+        await log.operation(`DRY RUN: ${times.length} commits left in today's plan (${describeBudget(quotas)}), nothing written!`);
+        return countUnpushed();
+      }
+      if (dayPlan) {
+        const now = new Date();
+        intendedCommits = dayPlan.times.slice(dayPlan.done).filter((time) => new Date(time) <= now).length;
+        plannedCommits = Math.min(intendedCommits, ...quotas.filter((quota) => quota.remaining !== null).map((quota) => quota.remaining));
+        if (intendedCommits === 0) {
+          const next = getNextRunTime(now);
+          await log.operation(`DAY PLAN: No commits due${next ? `, next wake-up at ${next.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE })}` : ''}!`);
+          return countUnpushed();
+        }
+      } else {
+        intendedCommits = getRandomCommitCount(random);
+        plannedCommits = getBudget(intendedCommits, quotas, scheduledAt);
+      }
+      if (plannedCommits > intendedCommits) {
+        await log.operation(`QUOTA CATCH-UP: ${plannedCommits} commits instead of ${intendedCommits} to stay on track for the minimums!`);
+      }
+
+      if (dryRun) {
+        result.commits = await previewCommits(plannedCommits, new Date(), {
+          count: getDailyCommitCount(),
+          position: commitTrackerCache.messageIndex || 0,
+          random,
+        });
+        await log.operation(`DRY RUN: ${plannedCommits} of ${intendedCommits} commits planned (${describeBudget(quotas)}), nothing written!`);
+        return countUnpushed();
+      }
+
+      // Under "own-paths" other work stays in the tree but out of the bot's commits
+      const stashed = dirtyPaths.length > 0 && CONFIG.DIRTY_POLICY === 'stash' && await stashWorkingTree();
+      if (dirtyPaths.length > 0 && CONFIG.DIRTY_POLICY === 'own-paths') {
+        await log.warning(`DIRTY TREE: ${dirtyPaths.length} uncommitted paths stay out of bot commits!`);
+      }
+      try {
+        const previousBranch = CONFIG.PR ? await startPullRequestBranch(scheduledAt) : null;
+        await ensureBranch();
+        await cleanupPullRequestBranch(previousBranch);
+        await syncWithRemote();
+        await refreshUnpushed();
+        if (shouldPush(false)) await pushCommits();
+        // A pull request that failed to open after its branch was pushed is retried here
+        if (CONFIG.PR && commitTrackerCache.pullRequest.pending) await syncPullRequest(activeBranch);
+        await log.operation(`CHRONOS PULSE: Preparing ${intendedCommits} commits (${describeBudget(quotas)})!`);
+        reachedHooks = true;
+        if (await runHook('preRun', { scheduledAt, total: plannedCommits }) === 'skip') return skip('hook');
+
+        // Animated commit progress, interrupted cleanly by stop()
+        for (let i = 0; i < plannedCommits && !isShuttingDown; i++) {
+          showProgress(augEffects.formatCommitProgress(i, plannedCommits) + '\r');
+          const at = new Date();
+          const prepared = await prepareChanges(i + 1, plannedCommits, random);
+          const { files } = prepared;
+          // Checked before anything is written, so the user's uncommitted edits are never overwritten
+          const swept = stashed ? [] : files.filter((path) => dirtyPaths.includes(path));
+          if (swept.length > 0) {
+            throw new DirtyTreeError(`DIRTY TREE: ${swept.join(', ')} already had uncommitted changes! Refusing to commit them under the bot's name!`);
+          }
+          // Composed before anything is written, so a message that fails its checks leaves no trace
+          const message = composeMessage(files, i + 1, plannedCommits, { at, random });
+          let sha;
+          // Until the commit is made, any failure puts the files back as HEAD has them, so the next pulse
+          // doesn't find the bot's own half-made changes in its way
+          try {
+            await modifyFile(prepared);
+            const verdict = await runHook('preCommit', { index: i + 1, total: plannedCommits, files, message });
+            if (verdict === 'skip') await discardChanges(files);
+            sha = verdict === 'skip' ? null : await performGitOperations(message, files);
+          } catch (error) {
+            await discardChanges(files).catch((cleanup) => log.error(`DATA NODE ERROR: Couldn’t restore ${files.join(', ')}! ${cleanup.message}`));
+            throw error;
+          }
+          if (dayPlan) {
+            dayPlan.done += 1;
+            if (!sha) await saveCommitTracker();
+          }
+          if (sha) {
+            await recordEvent('commit', { at: at.toISOString(), sha, branch: activeBranch, message, files });
+            await refreshUnpushed();
+            await updateCommitCount();
+            result.commits.push({ at, index: i + 1, total: plannedCommits, message, files, sha });
+            counters.commits += 1;
+            await runHook('postCommit', { index: i + 1, total: plannedCommits, files, message, sha });
+            if (shouldPush(false)) await pushCommits();
+          }
+          await delay(getRandomDelay(random));
+          showProgress(augEffects.formatCommitSuccess(i + 1, plannedCommits) + '          \n');
+        }
+
+        if (shouldPush(true)) await pushCommits();
+        if (commitTrackerCache.unpushed.length > 0) {
+          await log.operation(`LOCAL VAULT: ${commitTrackerCache.unpushed.length} commits wait for the next push (${CONFIG.PUSH_STRATEGY})!`);
+        }
+        await saveCommitTracker();
+      } finally {
+        if (stashed) await restoreWorkingTree();
+      }
+
+      const spent = exhaustedQuota(getQuotas());
+      if (intendedCommits > plannedCommits && spent) {
+        await log.warning(`MISSION COMPLETE: ${plannedCommits} of ${intendedCommits} commits executed! ${describeQuota(spent)} reached! Bot is victorious!`);
+        showProgress(`${augEffects.formatCommitSuccess(spent.limit, spent.limit)}\n`);
+      } else {
+        await log.operation(`CHRONOS VICTORY: All ${plannedCommits} commits successfully streamed!`);
+      }
+      return countUnpushed();
+    } catch (caught) {
+      // Generator, filesystem and spawn failures reach embedders as typed errors too
+      const error = toChronosError(caught);
+      failure = error;
+      if (!dryRun) lastError = { message: error.message, code: error.code, at: new Date().toISOString() };
+      await log.error(`SYSTEM OVERLOAD: Critical failure! ${error.message} (Code: ${caught.code || 'UNKNOWN'})`);
+      if (!dryRun) await runHook('onError', { scheduledAt, total: plannedCommits, error });
+      throw error;
+    } finally {
+      if (reachedHooks) {
+        await runHook('postRun', { scheduledAt, total: plannedCommits, shas: result.commits.map((commit) => commit.sha), skipped: result.skipped, error: failure });
+      }
+      if (!dryRun) {
+        const finishedAt = new Date().toISOString();
+        counters.runs += 1;
+        counters.lastRunAt = finishedAt;
+        if (failure) counters.failedRuns += 1;
+        else counters.lastSuccessAt = finishedAt;
+        if (result.skipped) counters.skipped[result.skipped] = (counters.skipped[result.skipped] || 0) + 1;
+        if (failure) {
+          announce('run-failed', `Pulse failed: ${failure.message}`, { error: failure.message, code: failure.code || null, commits: result.commits.length });
+        } else {
+          announce('run-finished', result.skipped ? `Pulse idled (${result.skipped})` : `Pulse made ${result.commits.length} commits`, { skipped: result.skipped, commits: result.commits.length });
+          // Announced by the pulse that used up the budget; later pulses skip on it quietly
+          const reached = result.commits.length > 0 ? exhaustedQuota(getQuotas()) : null;
+          if (reached) announce('limit-reached', `${describeQuota(reached)} reached`, { period: reached.period, limit: reached.limit, used: reached.used });
+        }
+        await recordEvent('run', {
+          scheduledAt: scheduledAt.toISOString(),
+          seed,
+          skipped: result.skipped,
+          intended: intendedCommits,
+          planned: plannedCommits,
+          committed: result.commits.length,
+          error: failure ? failure.message : null,
+        }).catch(() => {});
+      }
+      currentRunId = null;
     }
+  };
 
-    if (!isWorkingHours()) {
-      await augEffects.logWarning('NIGHT CYCLE: Outside working hours! Bot is idle...', CONFIG.LOG_FILE);
-      return;
+  // Simulate the schedule for `days` days from `from` with --seed or the fixed plan seed, starting from
+  // the tracker's current counts. Resolves to one { scheduledAt, skipped, commits } entry per pulse.
+  const plan = async ({ days = 7, from = new Date() } = {}) => {
+    await loadTrackerSnapshot();
+    const random = createRandom(CONFIG.SEED === null ? PLAN_SEED : CONFIG.SEED);
+    const until = from.getTime() + days * DAY_MS;
+    const counts = getDailyCounts();
+    let position = commitTrackerCache.messageIndex || 0;
+    const pulses = [];
+    // Under a day plan, today's saved plan comes first, then one drawn plan per day at its first pulse
+    const saved = usesDayPlan && commitTrackerCache.dayPlan && commitTrackerCache.dayPlan.date === localDay(from) ? commitTrackerCache.dayPlan : null;
+    if (saved) {
+      const times = saved.times.slice(saved.done).map((time) => new Date(time)).filter((time) => time.getTime() < until);
+      const commits = await previewCommits(times.length, null, { count: counts[saved.date] || 0, position, random, times });
+      counts[saved.date] = (counts[saved.date] || 0) + times.length;
+      position += times.length;
+      if (times.length > 0) pulses.push({ scheduledAt: times[0], skipped: null, commits });
     }
+    let plannedDay = saved ? saved.date : null;
+    for (let at = getNextPulse(from); at && at.getTime() < until; at = getNextPulse(at)) {
+      const day = localDay(at);
+      if (usesDayPlan && day === plannedDay) continue;
+      plannedDay = day;
+      const quotas = getQuotas(at, counts);
+      const exhausted = exhaustedQuota(quotas);
+      if (exhausted) {
+        pulses.push({ scheduledAt: at, skipped: `${PERIOD_NAMES[exhausted.period]}-limit`, commits: [] });
+        continue;
+      }
+      const times = usesDayPlan ? drawDayPlan(at, quotas, random).filter((time) => time.getTime() < until) : null;
+      const total = times ? times.length : getBudget(getRandomCommitCount(random), quotas, at);
+      const commits = await previewCommits(total, at, { count: counts[day] || 0, position, random, times });
+      counts[day] = (counts[day] || 0) + total;
+      position += total;
+      pulses.push({ scheduledAt: at, skipped: null, commits });
+    }
+    return pulses;
+  };
+
+  // ========================
+  // |> Concurrency Control <|
+  // ========================
+
+  let lockHeld = false;
 
-    if (!shouldCommitToday()) {
-      await augEffects.logWarning(`MISSION COMPLETE: Daily commit limit of ${CONFIG.DAILY_LIMIT} reached! Bot is victorious!`, CONFIG.LOG_FILE);
-      console.log(augEffects.formatCommitSuccess(CONFIG.DAILY_LIMIT, CONFIG.DAILY_LIMIT));
+  // Notification fields naming a lock's holder
+  const lockFields = (holder) => ({ pid: holder ? holder.pid : null, host: holder ? holder.host : null, heartbeatAt: holder ? holder.heartbeatAt : null });
+
+  // Take the repository lock, or join the one another profile of this process already holds. The holder
+  // entry is registered before any await so concurrent profiles can't both try to create the file.
+  const createLock = async () => {
+    const held = heldLocks.get(CONFIG.LOCK_FILE);
+    if (held) {
+      held.holders.add(engine);
+      lockHeld = true;
+      await log.operation('SYSTEM LOCK SHARED: Repo lock already held by this process!');
       return;
     }
+    const entry = { holders: new Set([engine]), lock: null };
+    heldLocks.set(CONFIG.LOCK_FILE, entry);
+    try {
+      entry.lock = await acquireLock(CONFIG.LOCK_FILE, {
+        heartbeat: CONFIG.LOCK_HEARTBEAT,
+        staleAfter: CONFIG.LOCK_STALE_AFTER,
+        log,
+        onLost: (holder) => {
+          const by = holder ? `${describeHolder(holder)} took it over` : 'it was removed';
+          announce('lock-contention', `Lost ${CONFIG.LOCK_FILE}: ${by}`, { ...lockFields(holder), lockFile: CONFIG.LOCK_FILE });
+          return log.error(`LOCK LOST: ${CONFIG.LOCK_FILE} slipped away, ${by}! No more commits until a restart.`);
+        },
+      });
+      lockHeld = true;
+      await log.operation('SYSTEM LOCK ENGAGED: Bot is in control!', { lockFile: CONFIG.LOCK_FILE });
+    } catch (error) {
+      heldLocks.delete(CONFIG.LOCK_FILE);
+      if (error.code === 'ELOCKED') {
+        const holder = describeHolder(error.holder || {});
+        await log.error(`MULTI-INSTANCE DETECTED: Another bot (${holder}) is active!`);
+        announce('lock-contention', `Another bot (${holder}) holds ${CONFIG.LOCK_FILE}`, { ...lockFields(error.holder), lockFile: CONFIG.LOCK_FILE });
+        throw new LockError(`MULTI-INSTANCE DETECTED: Another bot (${holder}) holds ${CONFIG.LOCK_FILE}!`, error);
+      }
+      await log.error(`LOCK SYSTEM FAILURE: Couldn’t secure the grid! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      throw new LockError(`LOCK SYSTEM FAILURE: Couldn’t write ${CONFIG.LOCK_FILE}!`, error);
+    }
+  };
 
-    await changeDirectory();
-    const remainingCommits = CONFIG.DAILY_LIMIT - getDailyCommitCount();
-    let intendedCommits, plannedCommits;
-    intendedCommits = getRandomCommitCount();
-    plannedCommits = Math.min(intendedCommits, remainingCommits);
+  // Release the lock once the last profile of this process sharing it lets go
+  const removeLock = async () => {
+    const held = heldLocks.get(CONFIG.LOCK_FILE);
+    if (held) held.holders.delete(engine);
+    lockHeld = false;
+    if (!held || held.holders.size > 0) return;
+    heldLocks.delete(CONFIG.LOCK_FILE);
+    try {
+      if (held.lock) await held.lock.release();
+      await log.operation('SYSTEM LOCK DISENGAGED: Bot is free!');
+    } catch (error) {
+      await log.error(`LOCK RELEASE ERROR: Lock stuck! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+    }
+  };
 
-    await augEffects.logOperation(`CHRONOS PULSE: Preparing ${intendedCommits} commits (Daily Limit: ${CONFIG.DAILY_LIMIT})!`, CONFIG.LOG_FILE);
+  // Whether the lock this engine holds was taken over or removed since it was acquired
+  const lockLost = () => {
+    const held = heldLocks.get(CONFIG.LOCK_FILE);
+    return Boolean(lockHeld && held && held.lock && held.lock.lost);
+  };
 
-    // Animated commit progress
-    for (let i = 0; i < plannedCommits; i++) {
-      process.stdout.write(augEffects.formatCommitProgress(i, plannedCommits) + '\r');
-      await modifyFile();
-      await performGitOperations();
-      await updateCommitCount();
-      await delay(CONFIG.COMMIT_DELAY_MIN, CONFIG.COMMIT_DELAY_MAX);
-      process.stdout.write(augEffects.formatCommitSuccess(i + 1, plannedCommits) + '          \n');
+  // Remove the repository lock when its holder is stale, or whatever holds it with `force`. Resolves to
+  // { lockFile, holder, stale, removed }, where `stale` says why the holder no longer counts; a live
+  // holder without `force` throws a LockError.
+  const unlock = async ({ force = false } = {}) => {
+    const holder = await readLock(CONFIG.LOCK_FILE);
+    if (!holder) return { lockFile: CONFIG.LOCK_FILE, holder: null, stale: null, removed: false };
+    const stale = staleReason(holder, CONFIG.LOCK_STALE_AFTER);
+    if (!stale && !force) {
+      throw new LockError(`LOCK STILL LIVE: ${describeHolder(holder)} holds ${CONFIG.LOCK_FILE}! Use unlock --force only if that bot is really gone.`);
     }
+    await forceUnlock(CONFIG.LOCK_FILE);
+    await log.warning(`LOCK FORCED OPEN: Removed the lock of ${describeHolder(holder)} (${stale || 'forced'})!`, { lockFile: CONFIG.LOCK_FILE });
+    const { text, legacy, ...record } = holder;
+    return { lockFile: CONFIG.LOCK_FILE, holder: record, stale, removed: true };
+  };
+
+  // ========================
+  // |> Lifecycle <|
+  // ========================
+
+  let isInitialized = false;
+  let isShuttingDown = false;
+  let nextRunTimer = null;
+  let nextRunAt = null;
+  let activeRun = null;
 
-    if (intendedCommits > plannedCommits && getDailyCommitCount() >= CONFIG.DAILY_LIMIT) {
-      await augEffects.logWarning(`MISSION COMPLETE: ${plannedCommits} of ${intendedCommits} commits executed! Daily limit of ${CONFIG.DAILY_LIMIT} reached! Bot is victorious!`, CONFIG.LOG_FILE);
-      console.log(augEffects.formatCommitSuccess(CONFIG.DAILY_LIMIT, CONFIG.DAILY_LIMIT));
-    } else {
-      await augEffects.logOperation(`CHRONOS VICTORY: All ${plannedCommits} commits successfully streamed!`, CONFIG.LOG_FILE);
+  // Run a pulse in this repository's queue so profiles sharing the working tree take turns
+  const runQueued = (scheduledAt) => enqueueForRepo(workDir, () => runBot(scheduledAt));
+
+  // Sleep until `target`; waits beyond setTimeout's ceiling re-arm until the target is reached
+  const armNextRun = (target) => {
+    nextRunAt = target;
+    const wait = Math.max(target.getTime() - Date.now(), 0);
+    nextRunTimer = setTimeout(() => (Date.now() < target.getTime() ? armNextRun(target) : scheduleNextRun(target)), Math.min(wait, MAX_TIMER_DELAY));
+  };
+
+  // Take the lock and load tracker/repository state once per engine
+  const prepare = async () => {
+    try {
+      if (!lockHeld) await createLock();
+      if (!isInitialized) {
+        // The default state directory lives in .git, so the repository must exist first
+        await initGitRepo();
+        await initCommitTracker();
+        isInitialized = true;
+      }
+    } catch (error) {
+      throw toChronosError(error);
     }
-  } catch (error) {
-    await augEffects.logError(`SYSTEM OVERLOAD: Critical failure! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-    process.exit(1);
-  }
-};
+  };
 
-// ========================
-// |> Concurrency Control <|
-// ========================
+  // Run one pulse and keep rescheduling until stop() is called; failures surface as 'error' events
+  const scheduleNextRun = async (scheduledAt) => {
+    if (isShuttingDown) return;
+    nextRunTimer = null;
+    nextRunAt = null;
+    activeRun = runQueued(scheduledAt);
+    try {
+      await activeRun;
+    } catch (error) {
+      // EventEmitter throws an 'error' nobody listens for, which would end the loop; runBot already logged it
+      if (engine.listenerCount('error') > 0) engine.emit('error', error);
+      else await log.warning('UNWATCHED FAILURE: No error listener, the schedule carries on!');
+    } finally {
+      activeRun = null;
+    }
+    if (!isShuttingDown) {
+      const target = getNextRunTime();
+      if (!target) {
+        await log.warning('SCHEDULE EXHAUSTED: No future firing time found! Bot is idle...');
+        return;
+      }
+      // Armed before logging, so a reload() waiting on this pulse finds the timer to move
+      armNextRun(target);
+      await log.operation(`CHRONOS SLEEP: Next pulse at ${target.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE })} (${CONFIG.TIMEZONE})`);
+    }
+  };
+
+  // Execute a single pulse, holding the lock only for its duration unless the daemon is running;
+  // resolves to the pulse summary from runBot
+  const runOnce = async () => {
+    const ownsLock = !lockHeld;
+    await prepare();
+    try {
+      activeRun = runQueued();
+      return await activeRun;
+    } finally {
+      activeRun = null;
+      if (ownsLock) {
+        await saveCommitTracker().catch(() => {});
+        await removeLock();
+      }
+      await notifier.flush();
+    }
+  };
 
-// Check if another instance is running and handle stale lock files
-const checkLock = async () => {
-  try {
-    const pid = await readFileAsync(CONFIG.LOCK_FILE, 'utf8');
+  // Start the daemon loop; resolves once the first pulse has completed
+  const start = async () => {
+    if (nextRunTimer || activeRun) {
+      throw new ChronosError('CHRONOS CORE ALREADY ACTIVE: start() called twice!', 'CHRONOS_STATE');
+    }
+    isShuttingDown = false;
+    await prepare();
+    await scheduleNextRun();
+    await log.operation('CHRONOS CORE ACTIVE: Bot awaits its next pulse!');
+  };
+
+  // Stop the daemon, let the in-flight commit finish, then save the tracker and release the lock
+  const stop = async () => {
+    if (isShuttingDown) return;
+    isShuttingDown = true;
+    await log.operation('SHUTDOWN SEQUENCE: Bot is powering down...');
+    if (nextRunTimer) {
+      clearTimeout(nextRunTimer);
+      nextRunTimer = null;
+      nextRunAt = null;
+    }
+    if (activeRun) await activeRun.catch(() => {});
     try {
-      process.kill(pid, 0);
-      await augEffects.logError('MULTI-INSTANCE DETECTED: Another bot is active! Exiting...', CONFIG.LOG_FILE);
-      process.exit(1);
+      if (lockHeld) {
+        await saveCommitTracker();
+        await removeLock();
+      }
     } catch (error) {
-      await unlinkAsync(CONFIG.LOCK_FILE);
-      await augEffects.logOperation('CLEARING LOCK: Removed stale system lock!', CONFIG.LOG_FILE);
+      await log.error(`SHUTDOWN ERROR: Cleanup failed! ${error.message} (Code: ${error.code || 'UNKNOWN'})`);
+      throw error;
+    } finally {
+      // Deliver what a failing last pulse had to say before the process exits
+      await notifier.flush();
     }
-  } catch (error) {
-    // Lock file does not exist or other error, proceed
-  }
-};
+  };
 
-// Create lock file
-const createLock = async () => {
-  try {
-    await ensureDirectory(CONFIG.LOCK_FILE);
-    await writeFileAsync(CONFIG.LOCK_FILE, process.pid.toString());
-    await augEffects.logOperation('SYSTEM LOCK ENGAGED: Bot is in control!', CONFIG.LOG_FILE);
-  } catch (error) {
-    await augEffects.logError(`LOCK SYSTEM FAILURE: Couldn’t secure the grid! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-    process.exit(1);
-  }
+  // ========================
+  // |> Runtime Control <|
+  // ========================
+
+  // Change the tracker under the lock: the daemon's while it runs, otherwise taken just for the change
+  const updateTracker = async (change) => {
+    const ownsLock = !lockHeld;
+    await prepare();
+    try {
+      change(commitTrackerCache);
+      await saveCommitTracker();
+    } finally {
+      if (ownsLock) await removeLock();
+    }
+  };
+
+  // Idle every pulse until resume(); the pause is kept in the tracker, so it outlasts a restart
+  const pause = async () => {
+    await updateTracker((tracker) => {
+      if (!tracker.paused) tracker.paused = { at: new Date().toISOString() };
+    });
+    await log.warning('CHRONOS PAUSED: Pulses will idle until resumed!');
+  };
+
+  // Let pulses commit again
+  const resume = async () => {
+    await updateTracker((tracker) => {
+      delete tracker.paused;
+    });
+    await log.operation('CHRONOS RESUMED: Pulses are live again!');
+  };
+
+  // Fire the daemon's next pulse now instead of at its scheduled time, then reschedule as usual;
+  // resolves to the pulse summary. The pulse runs every check, the pause included.
+  const runNow = async () => {
+    if (activeRun) throw new ChronosError('CHRONOS CORE BUSY: A pulse is already running!', 'CHRONOS_STATE');
+    if (!nextRunTimer) throw new ChronosError('CHRONOS CORE IDLE: run-now needs a running daemon (start())!', 'CHRONOS_STATE');
+    clearTimeout(nextRunTimer);
+    await log.operation('CHRONOS OVERRIDE: Pulse triggered ahead of schedule!');
+    const pulse = scheduleNextRun(new Date());
+    const run = activeRun;
+    await pulse;
+    return run;
+  };
+
+  // Settings that name the engine's files, lock or servers; changing them takes a restart
+  const RESTART_KEYS = ['PROFILE_NAME', 'REPO_DIR', 'STATE_DIR', 'WORKTREE', 'WORKTREE_DIR', 'COMMIT_TRACKER_FILE', 'LEDGER_FILE', 'LOCK_FILE',
+    'LOCK_HEARTBEAT', 'LOG_FILE', 'LOG_MAX_SIZE', 'LOG_MAX_AGE', 'LOG_MAX_FILES', 'HTTP_PORT', 'HTTP_HOST', 'CONTROL_SOCKET'];
+
+  // Build everything a freshly loaded and validated config needs without touching the engine, so a calendar,
+  // generator, hook or provider that fails to load throws here and changes nothing. Resolves to
+  // { changed, restart, apply }: the keys to apply, the keys left for a restart, and apply() to switch over.
+  const prepareReload = async (next) => {
+    const same = (key) => JSON.stringify(next[key]) === JSON.stringify(CONFIG[key]);
+    const restart = RESTART_KEYS.filter((key) => !same(key));
+    const merged = { ...next, ...RESTART_KEYS.reduce((kept, key) => ({ ...kept, [key]: CONFIG[key] }), {}) };
+    const changed = Object.keys(merged).filter((key) => JSON.stringify(merged[key]) !== JSON.stringify(CONFIG[key]));
+
+    const parts = {
+      schedule: buildSchedule(merged),
+      calendar: buildCalendar(merged),
+      generate: buildGenerator(merged),
+      messages: buildMessages(merged),
+      notifier: buildNotifier(merged),
+      hooks: buildHooks(merged),
+      logger: buildLogger(merged),
+      provider: null,
+    };
+    if (merged.PR) {
+      try {
+        parts.provider = await buildProvider(merged);
+      } catch (error) {
+        throw new ConfigError(`CONFIG CORE ERROR: provider "${merged.PR_PROVIDER}" ${error.message}!`, 'PR_PROVIDER', undefined, error);
+      }
+    }
+
+    const apply = () => switchConfig(merged, parts, { changed, restart });
+    return { changed, restart, apply };
+  };
+
+  // Switch to a config prepareReload() built the parts for, once the running pulse is done
+  const switchConfig = async (merged, parts, { changed, restart }) => {
+    if (activeRun) await activeRun.catch(() => {});
+    Object.assign(CONFIG, merged);
+    ({ schedule, calendar, generate, messages, notifier, hooks, logger, provider } = parts);
+    engine.logger = logger;
+    usesDayPlan = CONFIG.DISTRIBUTION !== 'pulse';
+
+    // The schedule may have moved the next pulse
+    if (nextRunTimer) {
+      clearTimeout(nextRunTimer);
+      nextRunTimer = null;
+      nextRunAt = null;
+      const target = getNextRunTime();
+      if (target) armNextRun(target);
+      else await log.warning('SCHEDULE EXHAUSTED: No future firing time found! Bot is idle...');
+    }
+
+    await log.operation(changed.length > 0 ? `CONFIG RELOADED: ${changed.join(', ')} updated!` : 'CONFIG RELOADED: Nothing changed!');
+    if (restart.length > 0) await log.warning(`CONFIG RELOAD PARTIAL: ${restart.join(', ')} only change on restart!`);
+    return { changed, restart };
+  };
+
+  // Switch to a freshly loaded and validated config between pulses, keeping the tracker, lock and
+  // counters; resolves to { changed, restart }, the keys applied and the keys left for a restart
+  const reload = async (next) => (await prepareReload(next)).apply();
+
+  // Run one pulse as a dry run; it needs no lock, so it can preview next to a running daemon
+  const dryRun = async () => {
+    await loadTrackerSnapshot();
+    return enqueueForRepo(workDir, () => runBot(new Date(), { dryRun: true, seed: getRunSeed(pulseNumber) }));
+  };
+
+  // Every commit in the ledger, oldest first, with its current SHA and push status
+  const history = async () => foldCommits(await ledger.read());
+
+  // Ledger analytics in the profile's timezone, optionally limited to inclusive "YYYY-MM-DD" dates
+  const report = async ({ since, until } = {}) => buildReport(await ledger.read(), CONFIG.TIMEZONE, { since, until });
+
+  // Summarize this profile for the status view; outside a running daemon the tracker is read from disk
+  const status = async () => {
+    await loadTrackerSnapshot();
+    const lock = await readLock(CONFIG.LOCK_FILE).catch(() => null);
+    const upcomingRun = nextRunAt || getNextRunTime();
+    return {
+      name: CONFIG.PROFILE_NAME,
+      repo: CONFIG.REPO_DIR,
+      branch: CONFIG.GIT_BRANCH,
+      commitCount: getDailyCommitCount(),
+      dailyLimit: CONFIG.DAILY_LIMIT,
+      quotas: getQuotas(),
+      lastRunDate: commitTrackerCache.lastRunDate,
+      running: Boolean(nextRunTimer || activeRun),
+      nextRunAt: upcomingRun ? upcomingRun.toISOString() : null,
+      lockPid: lock ? lock.pid : null,
+      lock: lock ? { host: lock.host, pid: lock.pid, startedAt: lock.startedAt, heartbeatAt: lock.heartbeatAt, stale: staleReason(lock, CONFIG.LOCK_STALE_AFTER) } : null,
+      unpushed: (commitTrackerCache.unpushed || []).length,
+      pullRequest: commitTrackerCache.pullRequest || null,
+      lastError,
+      paused: commitTrackerCache.paused || null,
+      timezone: CONFIG.TIMEZONE,
+      blackouts: calendar ? calendar.upcoming(new Date(), 5) : [],
+    };
+  };
+
+  return Object.assign(engine, {
+    config: CONFIG,
+    logger,
+    runOnce,
+    dryRun,
+    plan,
+    history,
+    report,
+    start,
+    stop,
+    pause,
+    resume,
+    runNow,
+    reload,
+    prepareReload,
+    unlock,
+    status,
+    metrics: () => ({ ...counters, skipped: { ...counters.skipped } }),
+    healthCheck: performHealthCheck,
+    health,
+  });
 };
 
-// Remove lock file
-const removeLock = async () => {
-  try {
-    await unlinkAsync(CONFIG.LOCK_FILE);
-    await augEffects.logOperation('SYSTEM LOCK DISENGAGED: Bot is free!', CONFIG.LOG_FILE);
-  } catch (error) {
-    await augEffects.logError(`LOCK RELEASE ERROR: Lock stuck! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
+// Create an isolated commit engine. `options` uses the CLI flag names (repo, branch, dailyLimit, ...)
+// plus `config` (a config file path, or false to skip auto-discovery) and `profile` (which profile
+// to use when the config lists several); `env` supplies the environment variable layer and is
+// empty unless the caller passes one. `display` prints log lines and commit progress to the terminal,
+// as the CLI does; without it the engine writes only its log file.
+const createChronos = (options = {}, { env = {}, display = false } = {}) => {
+  const configs = loadProfiles(options, env);
+  if (configs.length !== 1) {
+    throw new ConfigError(`CONFIG CORE ERROR: ${configs.length} profiles configured! Pick one with "profile" or use createFleet().`, 'profile', 'options');
   }
+  return createEngine(configs[0], { display });
 };
 
 // ========================
-// |> Graceful Shutdown <|
+// |> Fleet Control <|
 // ========================
 
-let isShuttingDown = false;
+// Drive one engine per configured profile from a single process, taking createChronos' `env` and
+// `display`. Engine 'error' events are re-emitted on the fleet with `error.profile` set; without a
+// fleet listener they are only logged, as a lone engine does.
+const createFleet = (options = {}, { env = {}, display = false } = {}) => {
+  const fleet = new EventEmitter();
 
-const gracefulShutdown = async () => {
-  if (isShuttingDown) return;
-  isShuttingDown = true;
-  await augEffects.logOperation('SHUTDOWN SEQUENCE: Bot is powering down...', CONFIG.LOG_FILE);
-  try {
-    await saveCommitTracker();
-    await removeLock();
-  } catch (error) {
-    await augEffects.logError(`SHUTDOWN ERROR: Cleanup failed! ${error.message} (Code: ${error.code || 'UNKNOWN'})`, CONFIG.LOG_FILE);
-  } finally {
-    console.log(augEffects.formatShutdown());
-    process.exit(0);
+  // Hand a profile's failure to the fleet's 'error' listeners, or log `unwatched` to the profile's log
+  const forwardError = (engine, error, unwatched) => {
+    if (fleet.listenerCount('error') > 0) fleet.emit('error', Object.assign(error, { profile: engine.config.PROFILE_NAME }));
+    else engine.logger.warn(unwatched);
+  };
+
+  const engines = loadProfiles(options, env).map((config) => {
+    const engine = createEngine(config, { display });
+    engine.on('error', (error) => forwardError(engine, error, 'UNWATCHED FAILURE: No error listener, the schedule carries on!'));
+    return engine;
+  });
+
+  // One status server serves every profile, so they must agree on where it listens
+  const endpoints = [...new Set(engines.filter((engine) => engine.config.HTTP_PORT !== null)
+    .map((engine) => `${engine.config.HTTP_HOST}:${engine.config.HTTP_PORT}`))];
+  if (endpoints.length > 1) {
+    throw new ConfigError(`CONFIG CORE ERROR: profiles ask for different status servers (${endpoints.join(', ')})! Set httpPort and httpHost once.`, 'HTTP_PORT', 'profiles');
   }
-};
+  const serverConfig = engines.map((engine) => engine.config).find((config) => config.HTTP_PORT !== null);
+  let servers = [];
+
+  // Call a method on `targets` (every engine by default) concurrently, collecting failures tagged with their profile
+  const fanOutTo = async (targets, method, ...args) => {
+    const results = await Promise.allSettled(targets.map((engine) => engine[method](...args)));
+    const failures = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') failures.push(Object.assign(result.reason, { profile: targets[index].config.PROFILE_NAME }));
+    });
+    return { values: results.map((result) => result.value), failures };
+  };
+  const fanOut = (method, ...args) => fanOutTo(engines, method, ...args);
+
+  // Engines of the named profiles, or all of them for null
+  const pick = (names) => {
+    if (!names) return engines;
+    const unknown = names.filter((name) => !engines.some((engine) => engine.config.PROFILE_NAME === name));
+    if (unknown.length > 0) throw new ConfigError(`CONFIG CORE ERROR: no running profile named ${unknown.join(', ')}!`, 'profile', 'control');
+    return engines.filter((engine) => names.includes(engine.config.PROFILE_NAME));
+  };
 
-process.on('SIGINT', gracefulShutdown);
-process.on('SIGTERM', gracefulShutdown);
+  // Single-profile fleets rethrow the original error; larger ones summarize
+  const fleetError = (action, failures) => {
+    if (engines.length === 1) return failures[0];
+    const names = failures.map((error) => error.profile).join(', ');
+    return Object.assign(new ChronosError(`FLEET ${action} FAILURE: ${failures.length} of ${engines.length} profiles failed (${names})!`, 'CHRONOS_FLEET'), { errors: failures });
+  };
 
-// ========================
-// |> Start the Bot <|
-// ========================
-const scheduleNextRun = async () => {
-  if (!isShuttingDown) {
-    await runBot();
-    const nextRun = CONFIG.ENABLE_WEEKENDS || (!isWeekend() && isWorkingHours()) ? 60 * 60 * 1000 : 5 * 60 * 1000;
-    setTimeout(scheduleNextRun, nextRun);
-  }
-};
+  // Run every profile once
+  const runOnce = async () => {
+    const { failures } = await fanOut('runOnce');
+    if (failures.length > 0) throw fleetError('RUN', failures);
+  };
 
-// Main execution block with interactive menu integration
-(async () => {
-  console.log(augEffects.formatStartup());
+  // Dry-run every profile; resolves to each pulse summary tagged with its profile
+  const dryRun = async () => {
+    const { values, failures } = await fanOut('dryRun');
+    if (failures.length > 0) throw fleetError('DRY RUN', failures);
+    return values.map((result, index) => ({ profile: engines[index].config.PROFILE_NAME, ...result }));
+  };
 
-  // Interactive menu only if no CLI arguments are provided
-  if (!hasCLIArgs) {
-    try {
-      const interactiveParams = await augEffects.interactiveConfig(CONFIG);
-
-      Object.assign(CONFIG, {
-        REPO_DIR: resolve(interactiveParams.repo || CONFIG.REPO_DIR),
-        GIT_BRANCH: interactiveParams.branch || CONFIG.GIT_BRANCH,
-        MIN_COMMITS: Number(interactiveParams.minCommits) || CONFIG.MIN_COMMITS,
-        MAX_COMMITS: Number(interactiveParams.maxCommits) || CONFIG.MAX_COMMITS,
-        DAILY_LIMIT: Number(interactiveParams.dailyLimit) || CONFIG.DAILY_LIMIT,
-        SCHEDULE_START: Number(interactiveParams.scheduleStart) || CONFIG.SCHEDULE_START,
-        SCHEDULE_END: Number(interactiveParams.scheduleEnd) || CONFIG.SCHEDULE_END,
-        ENABLE_WEEKENDS: interactiveParams.enableWeekends,
-        TIMEZONE: interactiveParams.timezone || CONFIG.TIMEZONE,
-        TARGET_FILE: interactiveParams.targetFile || CONFIG.TARGET_FILE,
-        COMMIT_TRACKER_FILE: interactiveParams.commitTrackerFile || CONFIG.COMMIT_TRACKER_FILE,
-        LOCK_FILE: interactiveParams.lockFile || CONFIG.LOCK_FILE,
-        LOG_FILE: interactiveParams.logFile || CONFIG.LOG_FILE,
-        COMMIT_DELAY_MIN: Number(interactiveParams.commitDelayMin) || CONFIG.COMMIT_DELAY_MIN,
-        COMMIT_DELAY_MAX: Number(interactiveParams.commitDelayMax) || CONFIG.COMMIT_DELAY_MAX,
-        RETRY_ATTEMPTS: Number(interactiveParams.retryAttempts) || CONFIG.RETRY_ATTEMPTS,
-        RETRY_DELAY: Number(interactiveParams.retryDelay) || CONFIG.RETRY_DELAY
-      });
+  // Plan every profile; resolves to one { profile, pulses } entry per profile
+  const plan = async (options) => {
+    const { values, failures } = await fanOut('plan', options);
+    if (failures.length > 0) throw fleetError('PLAN', failures);
+    return values.map((pulses, index) => ({ profile: engines[index].config.PROFILE_NAME, pulses }));
+  };
 
-      if (CONFIG.SCHEDULE_START < 0 || CONFIG.SCHEDULE_START > 23 || CONFIG.SCHEDULE_END < 0 || CONFIG.SCHEDULE_END > 23 || CONFIG.SCHEDULE_START >= CONFIG.SCHEDULE_END) {
-        augEffects.logError(`TIME SYNC ERROR: Schedule Start and End must be 0-23, and Start < End!`, CONFIG.LOG_FILE);
-        process.exit(1);
-      }
+  // Ledger history of every profile; resolves to one { profile, commits } entry per profile
+  const history = async () => {
+    const { values, failures } = await fanOut('history');
+    if (failures.length > 0) throw fleetError('HISTORY', failures);
+    return values.map((commits, index) => ({ profile: engines[index].config.PROFILE_NAME, commits }));
+  };
 
-      if (CONFIG.COMMIT_DELAY_MIN < 0 || CONFIG.COMMIT_DELAY_MAX < CONFIG.COMMIT_DELAY_MIN) {
-        augEffects.logError(`DELAY CORE ERROR: COMMIT_DELAY_MIN must be >= 0 and <= COMMIT_DELAY_MAX!`, CONFIG.LOG_FILE);
-        process.exit(1);
-      }
+  // Report every profile; resolves to one { profile, ...report } entry per profile
+  const report = async (options) => {
+    const { values, failures } = await fanOut('report', options);
+    if (failures.length > 0) throw fleetError('REPORT', failures);
+    return values.map((summary, index) => ({ profile: engines[index].config.PROFILE_NAME, ...summary }));
+  };
 
-      if (CONFIG.DAILY_LIMIT < 1 || CONFIG.MIN_COMMITS > CONFIG.DAILY_LIMIT || CONFIG.DAILY_LIMIT < CONFIG.MAX_COMMITS) {
-        augEffects.logError(`COMMIT CORE ERROR: DAILY_LIMIT must be >= 1, >= MIN_COMMITS, and <= MAX_COMMITS!`, CONFIG.LOG_FILE);
-        process.exit(1);
-      }
+  // Pause the named profiles (all for null); resolves to one { profile, paused } entry per profile
+  const pause = async (names = null) => {
+    const targets = pick(names);
+    const { failures } = await fanOutTo(targets, 'pause');
+    if (failures.length > 0) throw fleetError('PAUSE', failures);
+    return Promise.all(targets.map(async (engine) => ({ profile: engine.config.PROFILE_NAME, paused: (await engine.status()).paused })));
+  };
+
+  // Resume the named profiles (all for null); resolves like pause()
+  const resume = async (names = null) => {
+    const targets = pick(names);
+    const { failures } = await fanOutTo(targets, 'resume');
+    if (failures.length > 0) throw fleetError('RESUME', failures);
+    return targets.map((engine) => ({ profile: engine.config.PROFILE_NAME, paused: null }));
+  };
 
-      if (CONFIG.RETRY_ATTEMPTS < 1) {
-        augEffects.logError(`RETRY CORE ERROR: RETRY_ATTEMPTS must be >= 1!`, CONFIG.LOG_FILE);
-        process.exit(1);
+  // Fire the named profiles' pulses now (all for null); resolves to each pulse summary tagged with its profile
+  const runNow = async (names = null) => {
+    const targets = pick(names);
+    const { values, failures } = await fanOutTo(targets, 'runNow');
+    if (failures.length > 0) throw fleetError('RUN-NOW', failures);
+    return values.map((result, index) => ({ profile: targets[index].config.PROFILE_NAME, ...result }));
+  };
+
+  // Re-read and re-validate the config and build every running profile's new parts, then hand them all their
+  // new settings. Nothing changes when the config is invalid or any profile's calendar, generator, hooks or
+  // provider fails to load. Resolves to one { profile, changed, restart } entry per profile.
+  const reload = async () => {
+    // Fleet-wide lines go to the first profile's log, through its current logger
+    const log = (level, message) => engines[0].logger[level](message);
+    let configs;
+    try {
+      configs = loadProfiles(options, env);
+    } catch (error) {
+      await log('error', `CONFIG RELOAD ABORTED: ${error.message}`);
+      throw error;
+    }
+    const byName = new Map(configs.map((config) => [config.PROFILE_NAME, config]));
+    const added = configs.filter((config) => !engines.some((engine) => engine.config.PROFILE_NAME === config.PROFILE_NAME));
+    const removed = engines.filter((engine) => !byName.has(engine.config.PROFILE_NAME));
+    if (added.length > 0) await log('warn', `CONFIG RELOAD PARTIAL: New profiles ${added.map((config) => config.PROFILE_NAME).join(', ')} start on restart!`);
+    if (removed.length > 0) await log('warn', `CONFIG RELOAD PARTIAL: Profiles ${removed.map((engine) => engine.config.PROFILE_NAME).join(', ')} keep running until restart!`);
+    const targets = engines.filter((engine) => byName.has(engine.config.PROFILE_NAME));
+    const prepared = [];
+    for (const engine of targets) {
+      try {
+        prepared.push({ engine, ...await engine.prepareReload(byName.get(engine.config.PROFILE_NAME)) });
+      } catch (error) {
+        await log('error', `CONFIG RELOAD ABORTED: ${engine.config.PROFILE_NAME}: ${error.message}`);
+        throw Object.assign(error, { profile: engine.config.PROFILE_NAME });
       }
-      if (CONFIG.RETRY_DELAY < 0) {
-        augEffects.logError(`RETRY DELAY ERROR: RETRY_DELAY must be >= 0!`, CONFIG.LOG_FILE);
-        process.exit(1);
+    }
+    const results = [];
+    for (const { engine, apply } of prepared) results.push({ profile: engine.config.PROFILE_NAME, ...await apply() });
+    await log('info', `CONFIG RELOAD COMPLETE: ${results.length} profiles updated!`);
+    return results;
+  };
+
+  // Bring up the control socket of every profile's state directory, plus the --httpPort status server.
+  // Each serves the whole fleet; only the sockets, which only the daemon's user can open, take control requests.
+  const startServers = async () => {
+    const control = { pause, resume, runNow, reload };
+    const sockets = [...new Set(engines.map((engine) => engine.config.CONTROL_SOCKET))];
+    const endpoints = sockets.map((socket) => ({ socket, control }));
+    if (serverConfig) endpoints.push({ port: serverConfig.HTTP_PORT, host: serverConfig.HTTP_HOST, control: null });
+    for (const endpoint of endpoints) {
+      const server = await createStatusServer(engines, endpoint);
+      servers.push(server);
+      await engines[0].logger.info(endpoint.socket
+        ? `CONTROL LINK ONLINE: ${server.url} takes pause, resume, run-now and reload`
+        : `STATUS BEACON ONLINE: ${server.url} serves /healthz, /status and /metrics`);
+    }
+  };
+
+  const stopServers = async () => {
+    await Promise.all(servers.map((server) => server.close()));
+    servers = [];
+  };
+
+  // Start every profile, with the servers first so a stalled first pulse is already visible and
+  // controllable; profiles that fail to start are reported as 'error' events unless all of them fail
+  const start = async () => {
+    if (servers.length === 0) {
+      try {
+        await startServers();
+      } catch (error) {
+        await stopServers();
+        throw error;
       }
-    } catch (error) {
-      augEffects.logError('CONFIGURATION ABORTED: User terminated process', CONFIG.LOG_FILE);
-      process.exit(0);
     }
-  }
+    const { failures } = await fanOut('start');
+    if (failures.length === engines.length) throw fleetError('START', failures);
+    failures.forEach((error) => {
+      const engine = engines.find((candidate) => candidate.config.PROFILE_NAME === error.profile);
+      forwardError(engine, error, `UNWATCHED FAILURE: No error listener, ${error.profile} stays stopped! ${error.message}`);
+    });
+  };
+
+  // Stop every profile and the servers
+  const stop = async () => {
+    const { failures } = await fanOut('stop');
+    await stopServers();
+    if (failures.length > 0) throw fleetError('STOP', failures);
+  };
+
+  // Clear the repository lock of every profile, once per lock file; resolves to one { profile, lockFile,
+  // holder, stale, removed } entry per lock file. Live locks need `force`.
+  const unlock = async (options) => {
+    const targets = engines.filter((engine, index) => engines.findIndex((other) => other.config.LOCK_FILE === engine.config.LOCK_FILE) === index);
+    const { values, failures } = await fanOutTo(targets, 'unlock', options);
+    if (failures.length > 0) throw fleetError('UNLOCK', failures);
+    return values.map((result, index) => ({ profile: targets[index].config.PROFILE_NAME, ...result }));
+  };
 
-  await checkLock();
-  await createLock();
-  await Promise.all([initCommitTracker(), initGitRepo()]);
-  await scheduleNextRun();
-  await augEffects.logOperation('CHRONOS CORE ACTIVE: Bot awaits its next pulse!', CONFIG.LOG_FILE);
-})();
\ No newline at end of file
+  // Healthy only when every profile passes its health check
+  const healthCheck = async () => (await fanOut('healthCheck')).values.every(Boolean);
+
+  // Combined status rows, one per profile
+  const status = async () => (await fanOut('status')).values.filter(Boolean);
+
+  return Object.assign(fleet, {
+    engines,
+    runOnce,
+    dryRun,
+    plan,
+    history,
+    report,
+    start,
+    stop,
+    pause,
+    resume,
+    runNow,
+    reload,
+    unlock,
+    status,
+    healthCheck,
+  });
+};
+
+module.exports = {
+  createChronos,
+  createFleet,
+  parseArgs,
+  resolveConfig,
+  validateConfig,
+  loadConfig,
+  loadProfiles,
+  usesProfiles,
+  createStatusServer,
+  requestControl,
+  ChronosError,
+  ConfigError,
+  LockError,
+  HealthCheckError,
+  GitError,
+  DirtyTreeError,
+  PullRequestError,
+  HookError,
+  RunError,
+};
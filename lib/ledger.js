@@ -0,0 +1,145 @@
+// ===================================================================
+// |> Commit Ledger for Git Chronos <|
+// ===================================================================
+// An append-only JSON Lines history of everything the engine did. The
+// first line is a header { ledger: 'git-chronos', version }, then one
+// event per line:
+//   { type: 'commit', runId, at, sha, branch, message, files }
+//   { type: 'push', runId, at, remote, branch, shas, ok, error }
+//   { type: 'rewrite', runId, at, branch, shas: { old: new } }  (commits rebased onto the remote)
+//   { type: 'run', runId, at, scheduledAt, seed, skipped, intended, planned, committed, error }
+//   { type: 'migration', at, from, to, commitCount, lastRunDate }
+// Entries are never changed once written: a commit's current SHA and push
+// status are folded from the later rewrite and push events. A crash can
+// at worst tear the last line, which readers skip and the next writer cuts off.
+//
+// Also home to writeFileAtomic, used for the tracker's state file.
+
+const { promisify } = require('util');
+const { readFile, writeFile, appendFile, rename, unlink, truncate } = require('fs');
+
+const readFileAsync = promisify(readFile);
+const writeFileAsync = promisify(writeFile);
+const appendFileAsync = promisify(appendFile);
+const renameAsync = promisify(rename);
+const unlinkAsync = promisify(unlink);
+const truncateAsync = promisify(truncate);
+
+const LEDGER_VERSION = 1;
+
+// Pending atomic writes by path, so saves of one file in this process run one at a time
+const atomicWrites = new Map();
+
+// Replace a file in one step: write a temp file beside it, then rename it over the original. Writes to the
+// same path queue up behind each other, so they never share the temp file and the last call's content wins.
+const writeFileAtomic = (filePath, content) => {
+  const write = async () => {
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+    try {
+      await writeFileAsync(tempFile, content, 'utf8');
+      await renameAsync(tempFile, filePath);
+    } catch (error) {
+      await unlinkAsync(tempFile).catch(() => {});
+      throw error;
+    }
+  };
+  const written = (atomicWrites.get(filePath) || Promise.resolve()).then(write);
+  const settled = written.catch(() => {});
+  atomicWrites.set(filePath, settled);
+  // Forget the path once nothing else queued behind this write
+  settled.then(() => atomicWrites.get(filePath) === settled && atomicWrites.delete(filePath));
+  return written;
+};
+
+// Parse ledger text into its events; throws on a foreign file or a newer version
+const parseLedger = (text) => {
+  const lines = text.split('\n').filter((line) => line.trim() !== '');
+  if (lines.length === 0) return [];
+  const header = JSON.parse(lines[0]);
+  if (!header || header.ledger !== 'git-chronos') throw new Error('not a git-chronos ledger');
+  if (header.version > LEDGER_VERSION) throw new Error(`ledger version ${header.version} is newer than this git-chronos supports (${LEDGER_VERSION})`);
+  return lines.slice(1).reduce((entries, line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Only the last line can be torn by a crash; anything earlier is real damage
+      if (index !== lines.length - 2) throw new Error(`line ${index + 2} is not valid JSON`);
+    }
+    return entries;
+  }, []);
+};
+
+// One record per commit event with its current SHA and push status: { ...commit, pushed, pushedAt }
+const foldCommits = (entries) => {
+  const commits = [];
+  const bySha = new Map();
+  entries.forEach((entry) => {
+    if (entry.type === 'commit') {
+      const commit = { ...entry, pushed: false, pushedAt: null };
+      commits.push(commit);
+      bySha.set(entry.sha, commit);
+    } else if (entry.type === 'rewrite') {
+      Object.keys(entry.shas).forEach((oldSha) => {
+        const commit = bySha.get(oldSha);
+        if (!commit) return;
+        bySha.delete(oldSha);
+        commit.sha = entry.shas[oldSha];
+        bySha.set(commit.sha, commit);
+      });
+    } else if (entry.type === 'push' && entry.ok) {
+      entry.shas.forEach((sha) => {
+        const commit = bySha.get(sha);
+        if (commit && !commit.pushed) Object.assign(commit, { pushed: true, pushedAt: entry.at });
+      });
+    }
+  });
+  return commits;
+};
+
+// Open the ledger at `filePath`; the file and its header are created on the first append
+const createLedger = (filePath) => {
+  let ready = null;
+
+  const header = `${JSON.stringify({ ledger: 'git-chronos', version: LEDGER_VERSION })}\n`;
+  const ensureHeader = () => {
+    if (!ready) {
+      ready = readFileAsync(filePath, 'utf8').then(async (text) => {
+        if (text.trim() === '') return writeFileAtomic(filePath, header);
+        parseLedger(text);
+        if (!text.endsWith('\n')) await truncateAsync(filePath, Buffer.byteLength(text.slice(0, text.lastIndexOf('\n') + 1)));
+        return null;
+      }, (error) => {
+        if (error.code !== 'ENOENT') throw error;
+        return writeFileAtomic(filePath, header);
+      });
+      ready.catch(() => {
+        ready = null;
+      });
+    }
+    return ready;
+  };
+
+  // Add one event as a single line
+  const append = async (entry) => {
+    await ensureHeader();
+    await appendFileAsync(filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+  };
+
+  // Every event in order; an empty list when the ledger doesn't exist yet
+  const read = async () => {
+    const text = await readFileAsync(filePath, 'utf8').catch((error) => {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    });
+    return parseLedger(text);
+  };
+
+  return { filePath, append, read };
+};
+
+module.exports = {
+  LEDGER_VERSION,
+  createLedger,
+  foldCommits,
+  writeFileAtomic,
+};
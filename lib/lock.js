@@ -0,0 +1,167 @@
+// ===================================================================
+// |> Repository Lock for Git Chronos <|
+// ===================================================================
+// Keeps one bot per repository across processes, and across hosts sharing
+// the repository over a network mount. The lock file is created
+// exclusively ("wx"), so of two bots starting at once exactly one wins.
+// It holds the holder's record
+//   {"host":"build-01","pid":4242,"startedAt":"...","heartbeatAt":"..."}
+// whose heartbeat the holder rewrites every `heartbeat` ms. A lock is
+// stale once its heartbeat is older than `staleAfter` ms, or right away
+// when it was taken on this host by a process that is gone. Stale locks
+// are cleared on acquisition. Lock files of older versions hold only a
+// PID and are judged by that process alone. Hosts sharing a lock need
+// clocks that agree to well within `staleAfter`.
+
+const { promisify } = require('util');
+const { readFile, writeFile, unlink, stat, mkdir } = require('fs');
+const { dirname } = require('path');
+const { hostname } = require('os');
+const { writeFileAtomic } = require('./ledger');
+
+const readFileAsync = promisify(readFile);
+const writeFileAsync = promisify(writeFile);
+const unlinkAsync = promisify(unlink);
+const statAsync = promisify(stat);
+const mkdirAsync = promisify(mkdir);
+
+// Attempts to create the lock file when stale locks or releases race the acquisition
+const ACQUIRE_ATTEMPTS = 3;
+
+const ignoreMissing = (error) => {
+  if (error.code !== 'ENOENT') throw error;
+};
+
+// Whether a process of this host is running; EPERM means it runs as another user
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+};
+
+// The lock file's holder record, or null when unlocked. `text` keeps the raw content for comparisons.
+// Old PID-only files come back with `legacy` set; a file whose holder is still writing it (or garbage)
+// gets the file's mtime as its heartbeat.
+const readLock = async (file) => {
+  const text = await readFileAsync(file, 'utf8').catch(ignoreMissing);
+  if (text === undefined) return null;
+  if (/^\s*\d+\s*$/.test(text)) return { host: null, pid: Number(text), startedAt: null, heartbeatAt: null, legacy: true, text };
+  try {
+    const record = JSON.parse(text);
+    if (record && Number.isInteger(record.pid) && typeof record.heartbeatAt === 'string') return { ...record, legacy: false, text };
+  } catch (error) {
+    // Read between the exclusive create and the write, or not a lock record at all
+  }
+  const info = await statAsync(file).catch(() => null);
+  return { host: null, pid: null, startedAt: null, heartbeatAt: info ? info.mtime.toISOString() : null, legacy: false, text };
+};
+
+// Why the holder `record` no longer counts, or null while it does
+const staleReason = (record, staleAfter, now = Date.now()) => {
+  if (record.legacy) return isAlive(record.pid) ? null : `PID ${record.pid} is gone`;
+  if (record.host === hostname() && record.pid && !isAlive(record.pid)) return `PID ${record.pid} is gone`;
+  const age = record.heartbeatAt ? now - Date.parse(record.heartbeatAt) : Infinity;
+  if (!(age <= staleAfter)) return record.heartbeatAt ? `no heartbeat for ${Math.round(age / 1000)}s` : 'no heartbeat';
+  return null;
+};
+
+// "PID 4242 on build-01" for messages
+const describeHolder = (record) => {
+  if (!record.pid) return 'an unknown bot';
+  return record.host ? `PID ${record.pid} on ${record.host}` : `PID ${record.pid}`;
+};
+
+// Remove the lock file if it still holds `text`, so a lock another bot took in the meantime survives
+const removeIfUnchanged = async (file, text) => {
+  const current = await readFileAsync(file, 'utf8').catch(ignoreMissing);
+  if (current !== text) return false;
+  await unlinkAsync(file).catch(ignoreMissing);
+  return true;
+};
+
+// Take the lock at `file` for this process. Resolves to { record, lost, release() }, refreshing the
+// heartbeat every `heartbeat` ms until released; `onLost(holder)` is called if the lock is removed or
+// taken over meanwhile. Throws an error with code ELOCKED and the `holder` record while another bot
+// holds it. `log` is the engine's { operation, warning }.
+const acquireLock = async (file, { heartbeat, staleAfter, log, onLost = () => {} }) => {
+  const startedAt = new Date().toISOString();
+  const record = { host: hostname(), pid: process.pid, startedAt, heartbeatAt: startedAt };
+  await mkdirAsync(dirname(file), { recursive: true });
+  let holder = null;
+  for (let attempt = 0; attempt < ACQUIRE_ATTEMPTS; attempt++) {
+    try {
+      await writeFileAsync(file, JSON.stringify(record), { flag: 'wx' });
+      return holdLock(file, record, { heartbeat, log, onLost });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    holder = await readLock(file);
+    if (holder) {
+      const reason = staleReason(holder, staleAfter);
+      if (!reason) break;
+      if (await removeIfUnchanged(file, holder.text)) await log.operation(`CLEARING LOCK: Removed the stale lock of ${describeHolder(holder)} (${reason})!`);
+    }
+  }
+  throw Object.assign(new Error(`held by ${holder ? describeHolder(holder) : 'another bot'}`), { code: 'ELOCKED', holder });
+};
+
+// Keep the heartbeat of an acquired lock going until release()
+const holdLock = (file, record, { heartbeat, log, onLost }) => {
+  const lock = { record, lost: false, release: null };
+  let timer = null;
+  let beating = null;
+
+  const refresh = async () => {
+    const holder = await readLock(file).catch(() => null);
+    if (!holder || holder.host !== record.host || holder.pid !== record.pid || holder.startedAt !== record.startedAt) {
+      lock.lost = true;
+      await onLost(holder);
+      return;
+    }
+    record.heartbeatAt = new Date().toISOString();
+    await writeFileAtomic(file, JSON.stringify(record)).catch((error) => log.warning(`LOCK HEARTBEAT FAILURE: ${file} not refreshed! ${error.message}`));
+    if (timer) schedule();
+  };
+  const beat = () => {
+    beating = refresh()
+      .catch((error) => log.warning(`LOCK HEARTBEAT FAILURE: ${file} not checked! ${error.message}`))
+      .then(() => {
+        beating = null;
+      });
+  };
+  const schedule = () => {
+    timer = setTimeout(beat, heartbeat);
+    // A heartbeat alone never keeps the process alive
+    timer.unref();
+  };
+
+  // Stop the heartbeat and remove the lock file unless another bot holds it by now
+  lock.release = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (beating) await beating;
+    if (lock.lost) return;
+    await removeIfUnchanged(file, JSON.stringify(record));
+  };
+
+  schedule();
+  return lock;
+};
+
+// Remove the lock file whatever it holds; resolves to the record removed, or null when unlocked
+const forceUnlock = async (file) => {
+  const holder = await readLock(file);
+  if (holder) await unlinkAsync(file).catch(ignoreMissing);
+  return holder;
+};
+
+module.exports = {
+  readLock,
+  staleReason,
+  describeHolder,
+  acquireLock,
+  forceUnlock,
+};
@@ -0,0 +1,158 @@
+// ===================================================================
+// |> Structured Logger for Git Chronos <|
+// ===================================================================
+// Leveled logging (debug < info < warn < error) to two sinks: the log
+// file and a display callback for the styled console output. The file
+// gets one line per event, either text
+//   [2026-10-19 14:03:11] INFO: [docs] GIT COMMIT COMPLETE: ...
+// or, with format 'json', an object with the event's fields
+//   {"time":"...","level":"info","message":"GIT COMMIT COMPLETE: ...","profile":"docs","runId":"...","sha":"..."}
+// Log files rotate once they pass `maxSize` bytes or their first entry
+// is `maxAge` ms old: bot_runtime.log becomes bot_runtime.log.1, older
+// files shift up, and only `maxFiles` rotated files are kept. Loggers
+// writing the same file share one sink, so profiles never race a rotation.
+
+const { promisify } = require('util');
+const { appendFile, stat, rename, unlink, mkdir, open, read, close } = require('fs');
+const { dirname } = require('path');
+
+const appendFileAsync = promisify(appendFile);
+const statAsync = promisify(stat);
+const renameAsync = promisify(rename);
+const unlinkAsync = promisify(unlink);
+const mkdirAsync = promisify(mkdir);
+const openAsync = promisify(open);
+const readAsync = promisify(read);
+const closeAsync = promisify(close);
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+
+// File sinks by path, shared by every logger of this process
+const fileSinks = new Map();
+
+// Time of a log file's first entry (either format), or null
+const readFirstEntryTime = async (filePath) => {
+  const fd = await openAsync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(128);
+    const { bytesRead } = await readAsync(fd, buffer, 0, buffer.length, 0);
+    const match = buffer.toString('utf8', 0, bytesRead).match(/(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2})/);
+    return match ? Date.parse(`${match[1]}T${match[2]}Z`) : null;
+  } finally {
+    await closeAsync(fd);
+  }
+};
+
+// Serialized appends to one file with size- and age-based rotation
+const openFileSink = (filePath, { maxSize, maxAge, maxFiles }) => {
+  if (fileSinks.has(filePath)) return fileSinks.get(filePath);
+  let queue = Promise.resolve();
+  let state = null;
+
+  const load = async () => {
+    const info = await statAsync(filePath).catch(() => null);
+    if (!info || info.size === 0) return { size: 0, startedAt: null };
+    const startedAt = await readFirstEntryTime(filePath).catch(() => null);
+    return { size: info.size, startedAt: startedAt === null ? info.mtimeMs : startedAt };
+  };
+
+  // bot_runtime.log -> .1 -> .2 ... dropping whatever would pass maxFiles
+  const rotate = async () => {
+    const ignoreMissing = (error) => {
+      if (error.code !== 'ENOENT') throw error;
+    };
+    await unlinkAsync(`${filePath}.${maxFiles}`).catch(ignoreMissing);
+    for (let n = maxFiles - 1; n >= 1; n--) {
+      await renameAsync(`${filePath}.${n}`, `${filePath}.${n + 1}`).catch(ignoreMissing);
+    }
+    await renameAsync(filePath, `${filePath}.1`);
+  };
+
+  // Resolves once `line` is written; rejects when it couldn't be, without holding up later lines
+  const write = (line) => {
+    const written = queue.then(async () => {
+      if (!state) state = await load();
+      const now = Date.now();
+      const bytes = Buffer.byteLength(line);
+      const tooBig = maxSize > 0 && state.size + bytes > maxSize;
+      const tooOld = maxAge > 0 && state.startedAt !== null && now - state.startedAt >= maxAge;
+      if (state.size > 0 && (tooBig || tooOld)) {
+        await rotate();
+        state = { size: 0, startedAt: null };
+      }
+      await appendFileAsync(filePath, line).catch(async (error) => {
+        if (error.code !== 'ENOENT') throw error;
+        await mkdirAsync(dirname(filePath), { recursive: true });
+        await appendFileAsync(filePath, line);
+      });
+      state.size += bytes;
+      if (state.startedAt === null) state.startedAt = now;
+    });
+    queue = written.catch(() => {
+      state = null;
+    });
+    return written;
+  };
+
+  const sink = { write };
+  fileSinks.set(filePath, sink);
+  return sink;
+};
+
+// Create a logger. `display(level, message)` renders to the console; `fields` are added to every JSON
+// entry and `context()` is called per entry for fields that change, like the run id. `prefix` starts
+// console and text lines. Methods take (message, fields) and resolve once the entry is written.
+const createLogger = ({
+  file = null,
+  level = 'info',
+  format = 'text',
+  maxSize = 0,
+  maxAge = 0,
+  maxFiles = 5,
+  prefix = '',
+  fields = {},
+  context = () => ({}),
+  display = null,
+} = {}) => {
+  const threshold = LOG_LEVELS.indexOf(level);
+  const sink = file ? openFileSink(file, { maxSize, maxAge, maxFiles }) : null;
+
+  const enabled = (entryLevel) => LOG_LEVELS.indexOf(entryLevel) >= threshold;
+
+  const formatLine = (entryLevel, message, extra, now) => {
+    if (format === 'json') {
+      const entry = { time: now.toISOString(), level: entryLevel, message, ...fields, ...context(), ...extra };
+      // Leave unset fields out rather than writing nulls on every line
+      Object.keys(entry).forEach((key) => (entry[key] === null || entry[key] === undefined) && delete entry[key]);
+      return `${JSON.stringify(entry)}\n`;
+    }
+    return `[${now.toISOString().replace('T', ' ').substring(0, 19)}] ${entryLevel.toUpperCase()}: ${prefix}${message}\n`;
+  };
+
+  const logAt = (entryLevel) => async (message, extra = {}) => {
+    if (!enabled(entryLevel)) return;
+    const text = String(message).replace(/\x1b\[\d+m/g, '');
+    if (display) display(entryLevel, `${prefix}${message}`);
+    if (!sink) return;
+    // The file sink must never take the engine down; the console, if any, still has the entry
+    await sink.write(formatLine(entryLevel, text, extra, new Date())).catch((error) => {
+      if (display) display('error', `LOG ERROR: ${file}: ${error.message}`);
+    });
+  };
+
+  return {
+    level,
+    enabled,
+    debug: logAt('debug'),
+    info: logAt('info'),
+    warn: logAt('warn'),
+    error: logAt('error'),
+  };
+};
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  createLogger,
+};
@@ -0,0 +1,117 @@
+// ===================================================================
+// |> Commit Messages for Git Chronos <|
+// ===================================================================
+// Builds each commit message from --messageTemplate, or from a message
+// list file drawn in sequence or at random, then appends the optional
+// body, trailers and Co-authored-by lines. Placeholders: {timestamp}
+// {date} {time} {index} {total} {count} {branch} {profile} {files}.
+//
+// Conventional Commits mode checks every header against
+// "type(scope)!: subject" with the commitlint defaults (known type,
+// lower-case type, no trailing period, header at most 100 characters)
+// so bot commits pass commit-message linting in CI. A {files} list that
+// would make the header too long names fewer files, down to "3 files".
+//
+// Message list format: a .json file holding an array of strings, or a
+// text file with one message per line ('#' lines and blank lines skipped).
+
+const { readFileSync } = require('fs');
+const { extname } = require('path');
+const { renderTemplate } = require('./template');
+
+const DEFAULT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+const HEADER_MAX_LENGTH = 100;
+const MAX_LISTED_FILES = 3;
+
+// Values used to check templates before any commit exists
+const SAMPLE_VALUES = {
+  timestamp: '2000-01-01 00:00:00',
+  date: '2000-01-01',
+  time: '00:00:00',
+  index: 1,
+  total: 1,
+  count: 1,
+  branch: 'main',
+  profile: 'default',
+  files: 'file.txt',
+};
+
+// Read a message list file; throws when it can't be read or holds no messages
+const loadMessageList = (filePath) => {
+  const text = readFileSync(filePath, 'utf8');
+  let messages;
+  if (extname(filePath).toLowerCase() === '.json') {
+    messages = JSON.parse(text);
+    if (!Array.isArray(messages) || messages.some((message) => typeof message !== 'string' || message.trim() === '')) {
+      throw new Error('expected a JSON array of non-empty strings');
+    }
+  } else {
+    messages = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line !== '' && !line.startsWith('#'));
+  }
+  if (messages.length === 0) throw new Error('no messages found');
+  return messages;
+};
+
+// Summarize changed paths for {files}, e.g. "a.txt, b.txt, c.txt and 2 more", naming at most `listed` of them
+const describeFiles = (paths, listed = MAX_LISTED_FILES) => {
+  if (paths.length === 0) return 'no files';
+  if (listed === 0) return paths.length === 1 ? '1 file' : `${paths.length} files`;
+  if (paths.length <= listed) return paths.join(', ');
+  return `${paths.slice(0, listed).join(', ')} and ${paths.length - listed} more`;
+};
+
+// {files} summaries from the fullest to the shortest ("3 files")
+const fileSummaries = (paths) => Array.from({ length: Math.min(paths.length, MAX_LISTED_FILES) + 1 }, (_, dropped) => describeFiles(paths, Math.min(paths.length, MAX_LISTED_FILES) - dropped));
+
+// Check a header against Conventional Commits; returns a problem description or null
+const checkConventionalHeader = (header, types) => {
+  const match = header.match(/^([^\s(:!]+)(?:\(([^()\s]+)\))?(!)?: (.*)$/);
+  if (!match) return `"${header}" must look like "type(scope): subject"`;
+  const [, type, , , subject] = match;
+  if (type !== type.toLowerCase()) return `type "${type}" must be lower-case`;
+  if (!types.includes(type)) return `type "${type}" must be one of ${types.join(', ')}`;
+  if (subject.trim() === '') return `"${header}" has an empty subject`;
+  if (subject.endsWith('.')) return `subject "${subject}" must not end with a period`;
+  if (header.length > HEADER_MAX_LENGTH) return `header is ${header.length} characters, the limit is ${HEADER_MAX_LENGTH}`;
+  return null;
+};
+
+// Build the compose function for the message options; throws when a template can never
+// produce a valid message
+const createMessageComposer = ({ template, file, order = 'sequence', body = null, trailers = {}, coAuthors = [], conventional = false, types = DEFAULT_TYPES }) => {
+  const templates = file ? loadMessageList(file) : [template];
+
+  const validate = (header) => {
+    const problem = header.trim() === '' ? 'message is empty' : conventional && checkConventionalHeader(header, types);
+    if (problem) throw new Error(problem);
+  };
+  templates.forEach((entry) => validate(renderTemplate(entry, SAMPLE_VALUES)));
+
+  // Render the full message; `position` counts the messages drawn before this one and `random`
+  // picks the entry in random order
+  const compose = (values, position = 0, random = Math.random) => {
+    const entry = order === 'random'
+      ? templates[Math.floor(random() * templates.length)]
+      : templates[position % templates.length];
+    // Long paths name fewer files rather than push a Conventional Commits header past its limit
+    const summaries = fileSummaries(values.files || []);
+    const files = conventional
+      ? summaries.find((summary) => renderTemplate(entry, { ...values, files: summary }).length <= HEADER_MAX_LENGTH) || summaries[summaries.length - 1]
+      : summaries[0];
+    const placeholders = { ...values, files };
+    const header = renderTemplate(entry, placeholders);
+    validate(header);
+    const trailerLines = Object.keys(trailers).map((key) => `${key}: ${renderTemplate(trailers[key], placeholders)}`)
+      .concat(coAuthors.map((coAuthor) => `Co-authored-by: ${coAuthor}`));
+    return [header, body && renderTemplate(body, placeholders), trailerLines.join('\n')].filter(Boolean).join('\n\n');
+  };
+
+  return { size: templates.length, compose };
+};
+
+module.exports = {
+  DEFAULT_TYPES,
+  loadMessageList,
+  checkConventionalHeader,
+  createMessageComposer,
+};
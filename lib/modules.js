@@ -0,0 +1,17 @@
+// ===================================================================
+// |> User Module Loading for Git Chronos <|
+// ===================================================================
+// Generator, provider and hook modules named in the config are read from
+// disk each time the engine builds them, so a reload runs their current
+// code. Only the named file is re-read; modules it requires itself stay
+// in require's cache.
+
+// Load the module at absolute `path`, dropping any cached copy first
+const loadFresh = (path) => {
+  delete require.cache[require.resolve(path)];
+  return require(path);
+};
+
+module.exports = {
+  loadFresh,
+};
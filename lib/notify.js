@@ -0,0 +1,254 @@
+// ===================================================================
+// |> Notifications for Git Chronos <|
+// ===================================================================
+// Delivers engine events to named sinks configured under `notify`:
+//   { "ops": { "type": "slack", "url": "https://chat.example.com/hooks/abc",
+//              "events": ["run-failed", "push-failed"], "rateLimit": { "max": 5, "window": 3600 } } }
+// Sink types:
+//   webhook   POST the event as JSON; with `secret`, signed in X-Chronos-Signature
+//             ("sha256=" + hex HMAC-SHA256 of the body)
+//   slack     POST { text } to a Slack or Mattermost incoming webhook (`channel`, `username` optional)
+//   smtp      plain-text mail through an SMTP relay without auth, like a local MTA
+//             (`to`, optional `from`, `host` = localhost, `port` = 25)
+//   command   run a shell command with CHRONOS_* variables and the event JSON on stdin
+// Every sink takes `events` (default: all) and `rateLimit` (at most `max` sends per
+// `window` seconds; the rest are dropped). Hosts and ports are plain settings, so a
+// local stand-in server can take the place of any sink. Delivery never blocks or
+// fails a pulse: errors are logged as warnings.
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createHmac } = require('crypto');
+const { exec } = require('child_process');
+const { hostname } = require('os');
+
+const NOTIFY_EVENTS = ['run-started', 'run-finished', 'run-failed', 'limit-reached', 'push-failed', 'health-failed', 'lock-contention'];
+const SINK_TYPES = ['webhook', 'slack', 'smtp', 'command'];
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Settings each sink type accepts besides type, events, rateLimit and timeout; required ones first
+const SINK_OPTIONS = {
+  webhook: { required: ['url'], optional: ['secret', 'headers'] },
+  slack: { required: ['url'], optional: ['channel', 'username'] },
+  smtp: { required: ['to'], optional: ['from', 'host', 'port'] },
+  command: { required: ['command'], optional: [] },
+};
+
+// Throw on a sink set that can't be delivered to
+const checkSinks = (sinks) => {
+  Object.keys(sinks).forEach((name) => {
+    const sink = sinks[name];
+    if (!sink || typeof sink !== 'object' || Array.isArray(sink)) throw new Error(`sink "${name}" must be an object`);
+    if (!SINK_TYPES.includes(sink.type)) throw new Error(`sink "${name}" needs a type of ${SINK_TYPES.join(', ')} (got ${JSON.stringify(sink.type)})`);
+    const { required, optional } = SINK_OPTIONS[sink.type];
+    const unknown = Object.keys(sink).filter((key) => !['type', 'events', 'rateLimit', 'timeout', ...required, ...optional].includes(key));
+    if (unknown.length > 0) throw new Error(`sink "${name}" (${sink.type}) doesn't take ${unknown.join(', ')}`);
+    const missing = required.filter((key) => sink[key] === undefined || sink[key] === '');
+    if (missing.length > 0) throw new Error(`sink "${name}" (${sink.type}) needs ${missing.join(', ')}`);
+    if (sink.url !== undefined && !/^https?:\/\/\S+$/.test(sink.url)) throw new Error(`sink "${name}" url must be an http(s) URL`);
+    if (sink.to !== undefined && ![].concat(sink.to).every((address) => typeof address === 'string' && /^[^\s<>@]+@[^\s<>]+$/.test(address))) {
+      throw new Error(`sink "${name}" "to" must be an email address or a list of them`);
+    }
+    if (sink.port !== undefined && !(Number.isInteger(sink.port) && sink.port > 0 && sink.port < 65536)) throw new Error(`sink "${name}" port must be 1-65535`);
+    if (sink.events !== undefined) {
+      const events = Array.isArray(sink.events) ? sink.events : [];
+      const bad = events.filter((event) => !NOTIFY_EVENTS.includes(event));
+      if (events.length === 0 || bad.length > 0) throw new Error(`sink "${name}" events must be a list of ${NOTIFY_EVENTS.join(', ')}${bad.length > 0 ? ` (got ${bad.join(', ')})` : ''}`);
+    }
+    if (sink.rateLimit !== undefined) {
+      const { max, window } = sink.rateLimit || {};
+      if (!Number.isInteger(max) || max < 1 || !Number.isInteger(window) || window < 1) throw new Error(`sink "${name}" rateLimit must be { "max": <n>, "window": <seconds> } with both >= 1`);
+    }
+    if (sink.timeout !== undefined && !(Number.isInteger(sink.timeout) && sink.timeout > 0)) throw new Error(`sink "${name}" timeout must be a positive number of ms`);
+  });
+};
+
+// ====================
+// |> Transports <|
+// ====================
+
+// POST a body; rejects on HTTP errors and timeouts
+const postBody = (url, body, { headers = {}, timeout }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    timeout,
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      text += chunk;
+    });
+    response.on('end', () => {
+      if (response.statusCode >= 400) reject(new Error(`${target.host} returned ${response.statusCode}: ${text.trim().slice(0, 200)}`));
+      else resolve();
+    });
+  });
+  request.on('timeout', () => request.destroy(new Error(`${target.host} timed out after ${timeout}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Subject header, encoded when it isn't plain ASCII
+const encodeHeader = (text) => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`);
+
+// Send one plain-text mail over an unauthenticated SMTP session
+const sendMail = ({ host, port, from, to, subject, text, timeout }) => new Promise((resolve, reject) => {
+  const recipients = [].concat(to);
+  const body = [
+    `From: ${from}`,
+    `To: ${recipients.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    // Dot-stuffing, so a line holding only "." can't end the message early
+    ...text.split(/\r?\n/).map((line) => (line.startsWith('.') ? `.${line}` : line)),
+  ].join('\r\n');
+  // Each command with the reply code it expects; the first waits for the greeting
+  const steps = [
+    [null, 220],
+    [`EHLO ${hostname()}`, 250],
+    [`MAIL FROM:<${from}>`, 250],
+    ...recipients.map((recipient) => [`RCPT TO:<${recipient}>`, 250]),
+    ['DATA', 354],
+    [`${body}\r\n.`, 250],
+    ['QUIT', 221],
+  ];
+  const socket = net.connect(port, host);
+  let buffer = '';
+  let step = 0;
+  const fail = (error) => {
+    socket.destroy();
+    reject(error);
+  };
+  socket.setEncoding('utf8');
+  socket.setTimeout(timeout, () => fail(new Error(`SMTP ${host}:${port} timed out after ${timeout}ms`)));
+  socket.on('error', fail);
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    // A reply ends with a "250 text" line; "250-text" lines continue it
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+    lines.filter((line) => /^\d{3}( |$)/.test(line)).forEach((line) => {
+      const [, expected] = steps[step];
+      if (Number(line.slice(0, 3)) !== expected) {
+        fail(new Error(`SMTP ${host}:${port} answered "${line}" to ${step === 0 ? 'the connection' : steps[step][0].split(/[\s:]/)[0]}`));
+        return;
+      }
+      step += 1;
+      if (step === steps.length) {
+        socket.end();
+        resolve();
+      } else {
+        socket.write(`${steps[step][0]}\r\n`);
+      }
+    });
+  });
+});
+
+// Run a shell command with the event in its environment and on stdin
+const runCommand = (command, notification, timeout) => new Promise((resolve, reject) => {
+  const child = exec(command, {
+    timeout,
+    env: {
+      ...process.env,
+      CHRONOS_EVENT: notification.event,
+      CHRONOS_PROFILE: notification.profile,
+      CHRONOS_REPO: notification.repo,
+      CHRONOS_MESSAGE: notification.message,
+    },
+  }, (error, stdout, stderr) => {
+    if (error) reject(new Error(`${command} failed: ${(stderr || error.message).trim().slice(0, 200)}`));
+    else resolve();
+  });
+  child.stdin.on('error', () => {});
+  child.stdin.end(JSON.stringify(notification));
+});
+
+// Sink factories: options -> async (notification) => delivered
+const SINKS = {
+  webhook: (options) => async (notification) => {
+    const body = JSON.stringify(notification);
+    const headers = { 'X-Chronos-Event': notification.event, ...options.headers };
+    if (options.secret) headers['X-Chronos-Signature'] = `sha256=${createHmac('sha256', options.secret).update(body).digest('hex')}`;
+    await postBody(options.url, body, { headers, timeout: options.timeout });
+  },
+  slack: (options) => async (notification) => {
+    const prefix = notification.profile === 'default' ? '' : `[${notification.profile}] `;
+    const payload = { text: `git-chronos ${prefix}${notification.message}` };
+    if (options.channel) payload.channel = options.channel;
+    if (options.username) payload.username = options.username;
+    await postBody(options.url, JSON.stringify(payload), { timeout: options.timeout });
+  },
+  smtp: (options) => async (notification) => sendMail({
+    host: options.host || 'localhost',
+    port: options.port || 25,
+    from: options.from || `git-chronos@${hostname()}`,
+    to: options.to,
+    subject: `[git-chronos] ${notification.profile}: ${notification.event}`,
+    text: `${notification.message}\n\n${JSON.stringify(notification, null, 2)}\n`,
+    timeout: options.timeout,
+  }),
+  command: (options) => (notification) => runCommand(options.command, notification, options.timeout),
+};
+
+// Build the notifier for validated `sinks`. send(notification) dispatches to every sink subscribed to
+// notification.event without waiting; flush() resolves once every started delivery has settled.
+// `log` is the engine's { debug, warning }.
+const createNotifier = (sinks, { log }) => {
+  const active = Object.keys(sinks).map((name) => {
+    const options = { timeout: DEFAULT_TIMEOUT, ...sinks[name] };
+    return {
+      name,
+      events: options.events || NOTIFY_EVENTS,
+      rateLimit: options.rateLimit || null,
+      sentAt: [],
+      deliver: SINKS[options.type](options),
+    };
+  });
+  const pending = new Set();
+
+  // Whether the sink's rate limit leaves room for another send now, recording it if so
+  const take = (sink) => {
+    if (!sink.rateLimit) return true;
+    const now = Date.now();
+    sink.sentAt = sink.sentAt.filter((at) => now - at < sink.rateLimit.window * 1000);
+    if (sink.sentAt.length >= sink.rateLimit.max) return false;
+    sink.sentAt.push(now);
+    return true;
+  };
+
+  const send = (notification) => {
+    active.filter((sink) => sink.events.includes(notification.event)).forEach((sink) => {
+      if (!take(sink)) {
+        log.debug(`NOTIFY THROTTLED: ${sink.name} dropped ${notification.event} (rate limit)`);
+        return;
+      }
+      const delivery = Promise.resolve()
+        .then(() => sink.deliver(notification))
+        .then(
+          () => log.debug(`NOTIFY SENT: ${notification.event} delivered to ${sink.name}`),
+          (error) => log.warning(`NOTIFY FAILURE: ${sink.name} missed ${notification.event}! ${error.message}`),
+        )
+        .then(() => pending.delete(delivery));
+      pending.add(delivery);
+    });
+  };
+
+  const flush = () => Promise.all([...pending]);
+
+  return { send, flush };
+};
+
+module.exports = {
+  NOTIFY_EVENTS,
+  SINK_TYPES,
+  checkSinks,
+  createNotifier,
+};
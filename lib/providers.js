@@ -0,0 +1,179 @@
+// ===================================================================
+// |> Pull-Request Providers for Git Chronos <|
+// ===================================================================
+// A provider opens, updates and merges pull requests on a forge. It is
+// created from { url, token, repo, timeout } and returns
+//   findOpen({ head, base })               open request for head -> base, or null
+//   create({ head, base, title, body })    open a new request
+//   update(request, { title, body })       refresh an existing request
+//   merge(request, { deleteBranch })       merge once the forge's checks pass
+// where every request is { number, url }. All methods are async.
+//
+// Built-ins: gitea (Gitea/Forgejo API v1) and gitlab (GitLab API v4),
+// both plain HTTP(S) clients, so a local mock server can stand in for the
+// forge. Anything else is a path to a module exporting the factory
+// (or { createProvider }).
+
+const http = require('http');
+const https = require('https');
+const { resolve } = require('path');
+const { loadFresh } = require('./modules');
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Pages of 50 open pull requests gitea's findOpen reads before giving up
+const MAX_PAGES = 20;
+
+// Send a JSON request; resolves to the parsed response body (null when empty) and rejects on HTTP errors
+const requestJson = (method, url, { headers = {}, body, timeout = DEFAULT_TIMEOUT } = {}) => new Promise((resolvePromise, reject) => {
+  const target = new URL(url);
+  const payload = body === undefined ? null : JSON.stringify(body);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method,
+    timeout,
+    headers: {
+      Accept: 'application/json',
+      ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+      ...headers,
+    },
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      text += chunk;
+    });
+    response.on('end', () => {
+      if (response.statusCode >= 400) {
+        reject(Object.assign(new Error(`${method} ${target.pathname} returned ${response.statusCode}: ${text.trim().slice(0, 200)}`), { status: response.statusCode }));
+        return;
+      }
+      try {
+        resolvePromise(text.trim() ? JSON.parse(text) : null);
+      } catch (error) {
+        reject(new Error(`${method} ${target.pathname} returned invalid JSON`));
+      }
+    });
+  });
+  request.on('timeout', () => request.destroy(new Error(`${method} ${target.pathname} timed out after ${timeout}ms`)));
+  request.on('error', reject);
+  if (payload) request.write(payload);
+  request.end();
+});
+
+// Check the options every built-in needs
+const requireOptions = (name, { url, repo }) => {
+  if (!url) throw new Error(`${name} needs a base URL`);
+  if (!repo) throw new Error(`${name} needs a repository ("owner/name")`);
+};
+
+// ====================
+// |> Built-ins <|
+// ====================
+
+const BUILTINS = {
+  // Gitea and Forgejo: pull requests by number, token auth
+  gitea: (options) => {
+    requireOptions('gitea', options);
+    const base = `${options.url.replace(/\/+$/, '')}/api/v1/repos/${options.repo.split('/').map(encodeURIComponent).join('/')}/pulls`;
+    const call = (method, path, body) => requestJson(method, `${base}${path}`, {
+      body,
+      timeout: options.timeout,
+      headers: options.token ? { Authorization: `token ${options.token}` } : {},
+    });
+    const toRequest = (pull) => ({ number: pull.number, url: pull.html_url });
+
+    return {
+      // Pages through the open requests; a server or proxy that ignores `page` repeats one, which ends the search
+      findOpen: async ({ head, base: target }) => {
+        let previous = null;
+        for (let page = 1; page <= MAX_PAGES; page++) {
+          const pulls = await call('GET', `?state=open&limit=50&page=${page}`);
+          if (!Array.isArray(pulls) || pulls.length === 0) return null;
+          const match = pulls.find((pull) => pull.head && pull.head.ref === head && pull.base && pull.base.ref === target);
+          if (match) return toRequest(match);
+          const numbers = pulls.map((pull) => pull.number).join(',');
+          if (numbers === previous) return null;
+          previous = numbers;
+        }
+        throw new Error(`more than ${MAX_PAGES * 50} open pull requests, none for ${head} -> ${target}`);
+      },
+      create: async ({ head, base: target, title, body }) => toRequest(await call('POST', '', { head, base: target, title, body })),
+      update: async (request, { title, body }) => toRequest(await call('PATCH', `/${request.number}`, { title, body })),
+      merge: async (request, { deleteBranch = false } = {}) => {
+        await call('POST', `/${request.number}/merge`, { Do: 'merge', merge_when_checks_succeed: true, delete_branch_after_merge: deleteBranch });
+      },
+    };
+  },
+
+  // GitLab: merge requests by project-scoped iid, private token auth
+  gitlab: (options) => {
+    requireOptions('gitlab', options);
+    const base = `${options.url.replace(/\/+$/, '')}/api/v4/projects/${encodeURIComponent(options.repo)}/merge_requests`;
+    const call = (method, path, body) => requestJson(method, `${base}${path}`, {
+      body,
+      timeout: options.timeout,
+      headers: options.token ? { 'PRIVATE-TOKEN': options.token } : {},
+    });
+    const toRequest = (mergeRequest) => ({ number: mergeRequest.iid, url: mergeRequest.web_url });
+
+    return {
+      findOpen: async ({ head, base: target }) => {
+        const query = `?state=opened&source_branch=${encodeURIComponent(head)}&target_branch=${encodeURIComponent(target)}`;
+        const mergeRequests = await call('GET', query);
+        return Array.isArray(mergeRequests) && mergeRequests.length > 0 ? toRequest(mergeRequests[0]) : null;
+      },
+      create: async ({ head, base: target, title, body }) => toRequest(await call('POST', '', {
+        source_branch: head,
+        target_branch: target,
+        title,
+        description: body,
+      })),
+      update: async (request, { title, body }) => toRequest(await call('PUT', `/${request.number}`, { title, description: body })),
+      merge: async (request, { deleteBranch = false } = {}) => {
+        await call('PUT', `/${request.number}/merge`, { merge_when_pipeline_succeeds: true, should_remove_source_branch: deleteBranch });
+      },
+    };
+  },
+};
+
+const METHODS = ['findOpen', 'create', 'update', 'merge'];
+
+// Build a provider from a built-in name or module path; throws on unknown names, unloadable
+// modules, missing options and incomplete providers
+const createProvider = (name, options = {}) => {
+  let provider;
+  if (BUILTINS[name]) {
+    provider = BUILTINS[name](options);
+  } else {
+    const loaded = loadFresh(resolve(name));
+    const factory = typeof loaded === 'function' ? loaded : loaded && loaded.createProvider;
+    if (typeof factory !== 'function') throw new Error(`${name} must export a function or { createProvider }`);
+    provider = factory(options);
+  }
+  const missing = METHODS.filter((method) => !provider || typeof provider[method] !== 'function');
+  if (missing.length > 0) throw new Error(`${name} provider is missing ${missing.join(', ')}`);
+  return provider;
+};
+
+// Derive "owner/name" from a remote URL (https://host/owner/name.git, git@host:owner/name.git,
+// ssh://git@host/owner/name.git); null for local paths
+const repoFromRemoteUrl = (remoteUrl) => {
+  const text = String(remoteUrl).trim();
+  let path = null;
+  if (/^[a-z][\w+.-]*:\/\//i.test(text)) {
+    const parsed = new URL(text);
+    if (parsed.protocol !== 'file:') path = parsed.pathname;
+  } else {
+    const scp = text.match(/^(?:[^@/\s]+@)?[^:/\s]+:(?!\/)(.+)$/);
+    if (scp) path = scp[1];
+  }
+  if (!path) return null;
+  const repo = decodeURIComponent(path).replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+  return repo.includes('/') ? repo : null;
+};
+
+module.exports = {
+  BUILTIN_PROVIDERS: Object.keys(BUILTINS),
+  createProvider,
+  repoFromRemoteUrl,
+};
@@ -0,0 +1,82 @@
+// ===================================================================
+// |> Commit Quotas for Git Chronos <|
+// ===================================================================
+// Budgets over a day, a week and a month, each with an optional limit
+// (at most N commits) and minimum (at least N commits). Windows are
+// either calendar-aligned (Monday-Sunday weeks, calendar months) or
+// rolling (the last 7 or 30 days, today included). All dates are local
+// "YYYY-MM-DD" strings in the profile's timezone, and commit counts are
+// kept as { date: count } for the last COUNT_HISTORY_DAYS days.
+
+const QUOTA_PERIODS = ['day', 'week', 'month'];
+
+// Skip reason and label for each period: 'weekly-limit', "Weekly"
+const PERIOD_NAMES = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+// Enough days for the longest window, a 31-day calendar month
+const COUNT_HISTORY_DAYS = 31;
+
+// Shift a local date by whole days
+const addDays = (date, days) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+// First and last day of the `period` window holding `today`; a rolling window ends today
+const quotaWindow = (period, mode, today) => {
+  if (period === 'day') return { start: today, end: today };
+  if (mode === 'rolling') return { start: addDays(today, period === 'week' ? -6 : -29), end: today };
+  if (period === 'week') {
+    const [y, m, d] = today.split('-').map(Number);
+    const start = addDays(today, -((new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7));
+    return { start, end: addDays(start, 6) };
+  }
+  const start = `${today.slice(0, 8)}01`;
+  const [y, m] = today.split('-').map(Number);
+  return { start, end: new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10) };
+};
+
+// Drop counts older than COUNT_HISTORY_DAYS before `today`
+const pruneCounts = (counts, today) => {
+  const oldest = addDays(today, -(COUNT_HISTORY_DAYS - 1));
+  return Object.keys(counts).sort().filter((date) => date >= oldest && date <= today)
+    .reduce((kept, date) => ({ ...kept, [date]: counts[date] }), {});
+};
+
+// State of every configured quota on `today`: [{ period, start, end, used, limit, minimum, remaining }].
+// `limits` maps periods to { limit, minimum }; periods with neither are left out. `remaining` is null
+// without a limit.
+const computeQuotas = (limits, counts, today, mode) => QUOTA_PERIODS
+  .filter((period) => limits[period] && (limits[period].limit !== null || limits[period].minimum !== null))
+  .map((period) => {
+    const { start, end } = quotaWindow(period, mode, today);
+    const used = Object.keys(counts).filter((date) => date >= start && date <= today).reduce((sum, date) => sum + counts[date], 0);
+    const { limit, minimum } = limits[period];
+    return { period, start, end, used, limit, minimum, remaining: limit === null ? null : Math.max(0, limit - used) };
+  });
+
+// The first quota with nothing left, or null
+const exhaustedQuota = (quotas) => quotas.find((quota) => quota.remaining === 0) || null;
+
+// Commits a pulse may make: the random draw raised to keep every minimum on track, then cut to the
+// tightest remaining limit. `pulsesLeft(end)` counts this pulse and the later ones up to the local
+// date `end`, over which a minimum's shortfall is spread.
+const budgetCommits = (intended, quotas, pulsesLeft) => {
+  const required = quotas.reduce((most, quota) => {
+    if (quota.minimum === null || quota.used >= quota.minimum) return most;
+    return Math.max(most, Math.ceil((quota.minimum - quota.used) / Math.max(1, pulsesLeft(quota.end))));
+  }, 0);
+  const budget = quotas.reduce((least, quota) => (quota.remaining === null ? least : Math.min(least, quota.remaining)), Infinity);
+  return Math.min(Math.max(intended, required), budget);
+};
+
+module.exports = {
+  QUOTA_PERIODS,
+  PERIOD_NAMES,
+  addDays,
+  quotaWindow,
+  pruneCounts,
+  computeQuotas,
+  exhaustedQuota,
+  budgetCommits,
+};
@@ -0,0 +1,33 @@
+// ===================================================================
+// |> Seeded Randomness for Git Chronos <|
+// ===================================================================
+// A small deterministic PRNG (mulberry32) with the Math.random
+// signature, so previews and tests can replay the same decisions.
+// String seeds are hashed (FNV-1a) to the 32-bit state.
+
+// Turn a number or string seed into a 32-bit integer
+const hashSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isInteger(seed)) return seed >>> 0;
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+// Create a random() function returning floats in [0, 1) from `seed`
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+module.exports = {
+  createRandom,
+};
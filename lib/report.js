@@ -0,0 +1,86 @@
+// ===================================================================
+// |> History Reports for Git Chronos <|
+// ===================================================================
+// Summarizes ledger events into the numbers behind `git-chronos report`:
+// commits per day, ISO week and hour of day, days a commit limit was
+// reached, failed pushes and pulses that idled, all in the profile's
+// timezone. `since` / `until` are inclusive "YYYY-MM-DD" dates.
+
+const { foldCommits } = require('./ledger');
+
+const SKIP_REASONS = ['paused', 'weekend', 'blackout', 'outside-hours', 'daily-limit', 'weekly-limit', 'monthly-limit', 'dirty-tree', 'hook'];
+
+// Local date ("YYYY-MM-DD") and hour (0-23) of an ISO timestamp
+const localDate = (at, timeZone) => new Date(at).toLocaleDateString('en-CA', { timeZone });
+const localHour = (at, timeZone) => Number(new Date(at).toLocaleString('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }));
+
+// ISO week ("2026-W42") of a local date
+const isoWeek = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  const day = new Date(Date.UTC(y, m - 1, d));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Count items into a sorted [{ [keyName]: key, commits }] list
+const countBy = (items, keyOf, keyName) => {
+  const counts = items.reduce((all, item) => {
+    const key = keyOf(item);
+    return { ...all, [key]: (all[key] || 0) + 1 };
+  }, {});
+  return Object.keys(counts).sort().map((key) => ({ [keyName]: keyName === 'hour' ? Number(key) : key, commits: counts[key] }));
+};
+
+// Build the report for one profile's ledger events
+const buildReport = (entries, timeZone, { since = null, until = null } = {}) => {
+  const inRange = (at) => {
+    const date = localDate(at, timeZone);
+    return (!since || date >= since) && (!until || date <= until);
+  };
+  const commits = foldCommits(entries).filter((commit) => inRange(commit.at));
+  const runs = entries.filter((entry) => entry.type === 'run' && inRange(entry.at));
+  const failedPushes = entries.filter((entry) => entry.type === 'push' && !entry.ok && inRange(entry.at));
+
+  // A pulse hit a limit when it idled on one or had to make fewer commits than it drew
+  const limitRuns = runs.filter((run) => /-limit$/.test(run.skipped || '') || run.intended > run.planned);
+  const limitDays = new Set(limitRuns.map((run) => localDate(run.at, timeZone)));
+
+  const dates = [...new Set([...commits.map((commit) => localDate(commit.at, timeZone)), ...runs.map((run) => localDate(run.at, timeZone))])].sort();
+  const days = dates.map((date) => {
+    const dayRuns = runs.filter((run) => localDate(run.at, timeZone) === date);
+    return {
+      date,
+      commits: commits.filter((commit) => localDate(commit.at, timeZone) === date).length,
+      runs: dayRuns.length,
+      skipped: dayRuns.filter((run) => run.skipped).length,
+      limitHit: limitDays.has(date),
+    };
+  });
+
+  return {
+    timezone: timeZone,
+    from: dates[0] || null,
+    to: dates[dates.length - 1] || null,
+    totals: {
+      commits: commits.length,
+      pushed: commits.filter((commit) => commit.pushed).length,
+      runs: runs.length,
+      failedRuns: runs.filter((run) => run.error).length,
+      limitHits: limitDays.size,
+      failedPushes: failedPushes.length,
+    },
+    skipped: SKIP_REASONS.reduce((all, reason) => ({ ...all, [reason]: runs.filter((run) => run.skipped === reason).length }), {}),
+    days,
+    weeks: countBy(commits, (commit) => isoWeek(localDate(commit.at, timeZone)), 'week'),
+    hours: countBy(commits, (commit) => String(localHour(commit.at, timeZone)).padStart(2, '0'), 'hour'),
+    failedPushes: failedPushes.map((push) => ({ at: push.at, branch: push.branch, commits: push.shas.length, error: push.error })),
+  };
+};
+
+module.exports = {
+  SKIP_REASONS,
+  buildReport,
+};
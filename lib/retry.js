@@ -0,0 +1,88 @@
+// ===================================================================
+// |> Git Failure Classification and Backoff for Git Chronos <|
+// ===================================================================
+// Sorts a failed git command into one of four kinds by its exit code,
+// Node error code and stderr text:
+//   transient          network, server and lock trouble; retried with backoff
+//   auth               credentials or host keys rejected; never retried
+//   non-fast-forward   the remote moved on; rebase onto it, then retry
+//   fatal              everything else; never retried
+// Git dies with exit code 128 on network, auth and lock trouble, and a
+// push the remote turned down exits with 1; any other exit code is the
+// command's own failure. HTTP statuses only count in git's own phrasing
+// ("The requested URL returned error: 503", "HTTP 403").
+// Backoff doubles from the base delay up to a cap, and each wait is
+// jittered to between half and all of that value.
+
+const TRANSIENT_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'EAGAIN', 'EBUSY'];
+
+const AUTH_PATTERNS = [
+  /authentication failed/i,
+  /permission denied \(publickey/i,
+  /permission to \S+ denied/i,
+  /could not read (username|password)/i,
+  /invalid (username|password|credentials)/i,
+  /host key verification failed/i,
+  /(requested URL returned error:|\bHTTP) 40[13]\b/,
+  /terminal prompts disabled/i,
+];
+
+const NON_FAST_FORWARD_PATTERNS = [
+  /\(non-fast-forward\)/i,
+  /\(fetch first\)/i,
+  /updates were rejected because the (tip|remote)/i,
+];
+
+const TRANSIENT_PATTERNS = [
+  /unable to access/i,
+  /could not resolve host/i,
+  /connection (timed out|reset|refused|closed)/i,
+  /operation timed out/i,
+  /early eof/i,
+  /rpc failed/i,
+  /the remote end hung up/i,
+  /(requested URL returned error:|\bHTTP) (429|500|502|503|504)\b/,
+  /temporarily unavailable/i,
+  /index\.lock': file exists/i,
+  /another git process seems to be running/i,
+  /repository is locked/i,
+  /could not lock/i,
+];
+
+// Exit code git uses when it dies (die() in git's source)
+const GIT_DIED = 128;
+// Exit code of a push the remote rejected, and of most commands' own failures
+const GIT_PUSH_REJECTED = 1;
+
+// Classify a failed git command; `error` carries `code` (the exit code, or a Node error code when git
+// didn't run), `signal`/`killed` and `stderr` as execFile sets them
+const classifyGitError = (error) => {
+  const text = `${error.stderr || ''}\n${error.message || ''}`;
+  const matches = (patterns) => patterns.some((pattern) => pattern.test(text));
+  // Killed by the timeout, or never started for want of a resource
+  if (error.killed || TRANSIENT_CODES.includes(error.code)) return 'transient';
+  if (typeof error.code === 'string') return 'fatal';
+  // A push that failed on its way out exits with 1 too
+  if (error.code === GIT_PUSH_REJECTED) {
+    if (matches(NON_FAST_FORWARD_PATTERNS)) return 'non-fast-forward';
+    return matches(TRANSIENT_PATTERNS) ? 'transient' : 'fatal';
+  }
+  // Any other exit code is the command's own failure
+  if (typeof error.code === 'number' && error.code !== GIT_DIED) return 'fatal';
+  // Git died, or the error has no exit code: stderr decides
+  if (matches(AUTH_PATTERNS)) return 'auth';
+  if (matches(NON_FAST_FORWARD_PATTERNS)) return 'non-fast-forward';
+  if (matches(TRANSIENT_PATTERNS)) return 'transient';
+  return 'fatal';
+};
+
+// Wait before retry number `attempt` (1-based): base * 2^(attempt - 1), capped at `max`, jittered to [50%, 100%]
+const backoffDelay = (attempt, { base, max }, random = Math.random) => {
+  const ceiling = Math.min(max, base * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+module.exports = {
+  classifyGitError,
+  backoffDelay,
+};
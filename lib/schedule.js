@@ -0,0 +1,286 @@
+// ===================================================================
+// |> Schedule Engine for Git Chronos <|
+// ===================================================================
+// Parses --schedule specs and computes exact firing times as wall-clock
+// times in CONFIG.TIMEZONE. A spec is a ';'-separated list of entries:
+//   - standard 5-field cron expressions ("30 9-17 * * 1-5", "@hourly")
+//   - weekday windows ("Mon-Thu 09:30-18:00, Fri 09:30-13:00"), which
+//     pulse at the window start and every hour after it until the end
+// DST: wall times skipped by a spring-forward jump fire after the jump
+// (shifted by the gap); wall times repeated by a fall-back fire once,
+// at their first occurrence.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_ALIASES = { daily: [0, 1, 2, 3, 4, 5, 6], weekdays: [1, 2, 3, 4, 5], weekends: [0, 6] };
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKAHEAD_DAYS = 366 * 5;
+const WINDOW_PULSE_MINUTES = 60;
+
+// =========================
+// |> Timezone Arithmetic <|
+// =========================
+
+const formatters = new Map();
+
+// Break an instant into wall-clock parts in the given timezone
+const getZonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  const parts = {};
+  formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+  };
+};
+
+// Offset (ms) between the timezone's wall clock and UTC at an instant
+const getOffset = (instant, timeZone) => {
+  const p = getZonedParts(new Date(instant), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+};
+
+// Convert a wall-clock time to an instant, applying the DST rules described above
+const wallToInstant = (year, month, day, minuteOfDay, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  const offsetBefore = getOffset(wall - DAY_MS, timeZone);
+  const offsetAfter = getOffset(wall + DAY_MS, timeZone);
+  const valid = [wall - offsetBefore, wall - offsetAfter]
+    .filter((instant) => instant + getOffset(instant, timeZone) === wall)
+    .sort((a, b) => a - b);
+  return valid.length > 0 ? valid[0] : wall - offsetBefore;
+};
+
+// ====================
+// |> Cron Parsing <|
+// ====================
+
+// Resolve a single cron value, accepting month/day names
+const parseCronValue = (text, field) => {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.nameOffset;
+  if (!/^\d+$/.test(text)) throw new Error(`invalid ${field.name} value "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  return value;
+};
+
+// Expand one cron field ("*/15", "1-5", "mon,wed,fri") into its sorted values
+const parseCronField = (text, field) => {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name} "${part}"`);
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-');
+      from = parseCronValue(start, field);
+      to = parseCronValue(end, field);
+      if (from > to) throw new Error(`${field.name} range "${range}" runs backwards`);
+    } else {
+      from = parseCronValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return [...values].sort((a, b) => a - b);
+};
+
+// Parse a 5-field cron expression (or @macro) into a schedule entry
+const parseCron = (expression) => {
+  const fields = (MACROS[expression.toLowerCase()] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`cron expression "${expression}" needs 5 fields`);
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseCronField(text, CRON_FIELDS[index]));
+  const daySet = new Set(days);
+  const monthSet = new Set(months);
+  const weekdaySet = new Set(weekdays.map((day) => day % 7));
+  const hourSet = new Set(hours);
+  const minuteSet = new Set(minutes);
+  const domRestricted = fields[2] !== '*';
+  const dowRestricted = fields[4] !== '*';
+  const times = [];
+  hours.forEach((hour) => minutes.forEach((minute) => times.push(hour * 60 + minute)));
+
+  // Standard cron rule: when both day fields are restricted, either one matching is enough
+  const matchesDay = (month, day, weekday) => {
+    if (!monthSet.has(month)) return false;
+    if (domRestricted && dowRestricted) return daySet.has(day) || weekdaySet.has(weekday);
+    if (domRestricted) return daySet.has(day);
+    if (dowRestricted) return weekdaySet.has(weekday);
+    return true;
+  };
+
+  return {
+    source: expression,
+    times,
+    matchesDay,
+    isActive: (p) => matchesDay(p.month, p.day, p.weekday) && hourSet.has(p.hour) && minuteSet.has(p.minute),
+  };
+};
+
+// =====================
+// |> Window Parsing <|
+// =====================
+
+// Resolve "Mon", "Monday", "Mon-Thu", "Fri-Mon", "daily", "weekdays" or "weekends" to weekday numbers
+const parseDays = (text) => {
+  const lower = text.toLowerCase().replace(/\s+/g, '');
+  if (DAY_ALIASES[lower]) return DAY_ALIASES[lower];
+  const dayIndex = (name) => {
+    const index = DAY_NAMES.indexOf(name.slice(0, 3));
+    if (index === -1) throw new Error(`unknown weekday "${name}"`);
+    return index;
+  };
+  const [from, to] = lower.split(/[-–]/);
+  if (to === undefined) return [dayIndex(from)];
+  const days = [];
+  for (let day = dayIndex(from); ; day = (day + 1) % 7) {
+    days.push(day);
+    if (day === dayIndex(to)) return days;
+  }
+};
+
+// Parse "HH:MM" (24:00 allowed as an end time) into minutes of the day
+const parseClock = (text) => {
+  const [hours, minutes] = text.split(':').map(Number);
+  const value = hours * 60 + minutes;
+  if (!Number.isInteger(value) || minutes > 59 || value > 24 * 60) throw new Error(`invalid time "${text}"`);
+  return value;
+};
+
+// Build a window entry pulsing at `start` and hourly after it while before `end`
+const makeWindow = (source, weekdays, start, end) => {
+  if (start >= end) throw new Error(`window "${source}" must end after it starts`);
+  const weekdaySet = new Set(weekdays);
+  const times = [];
+  for (let minute = start; minute < end; minute += WINDOW_PULSE_MINUTES) times.push(minute);
+  return {
+    source,
+    times,
+    matchesDay: (month, day, weekday) => weekdaySet.has(weekday),
+    isActive: (p) => weekdaySet.has(p.weekday) && p.hour * 60 + p.minute >= start && p.hour * 60 + p.minute < end,
+  };
+};
+
+// Parse a comma-separated list of weekday windows
+const parseWindows = (text) => text.split(',').map((part) => {
+  const match = part.trim().match(/^([a-z]+(?:\s*[-–]\s*[a-z]+)?)\s+(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})$/i);
+  if (!match) throw new Error(`window "${part.trim()}" must look like "Mon-Fri 09:30-18:00"`);
+  return makeWindow(part.trim(), parseDays(match[1]), parseClock(match[2]), parseClock(match[3]));
+});
+
+// =====================
+// |> Schedule Object <|
+// =====================
+
+// Wrap parsed entries with timezone-aware isActive/nextRun queries
+const createSchedule = (entries, timeZone) => {
+  // Is the instant inside a window or on a cron firing minute?
+  const isActive = (date = new Date()) => {
+    const parts = getZonedParts(date, timeZone);
+    return entries.some((entry) => entry.isActive(parts));
+  };
+
+  // First firing instant strictly after `after` that `accept` agrees to, or null within the lookahead
+  const nextRun = (after = new Date(), accept = () => true) => {
+    const afterMs = after.getTime();
+    const start = getZonedParts(after, timeZone);
+    const startMinute = start.hour * 60 + start.minute;
+    const firstDay = Date.UTC(start.year, start.month - 1, start.day);
+
+    for (let index = 0; index < LOOKAHEAD_DAYS; index++) {
+      const calendar = new Date(firstDay + index * DAY_MS);
+      const year = calendar.getUTCFullYear();
+      const month = calendar.getUTCMonth() + 1;
+      const day = calendar.getUTCDate();
+      const weekday = calendar.getUTCDay();
+      const minutes = [...new Set(entries
+        .filter((entry) => entry.matchesDay(month, day, weekday))
+        .reduce((all, entry) => all.concat(entry.times), []))]
+        .sort((a, b) => a - b);
+
+      let best = null;
+      let bestMinute = null;
+      for (const minute of minutes) {
+        // Skip wall times well before `after`, and stop once past the DST reordering margin
+        if (index === 0 && minute < startMinute - 180) continue;
+        if (bestMinute !== null && minute > bestMinute + 180) break;
+        const instant = wallToInstant(year, month, day, minute, timeZone);
+        if (instant > afterMs && (best === null || instant < best) && accept(new Date(instant))) {
+          best = instant;
+          bestMinute = minute;
+        }
+      }
+      if (best !== null) return new Date(best);
+    }
+    return null;
+  };
+
+  return { entries, isActive, nextRun };
+};
+
+// Parse a --schedule spec into a schedule for the given timezone; throws on invalid input
+const parseSchedule = (spec, timeZone) => {
+  const entries = String(spec).split(';').map((part) => part.trim()).filter(Boolean)
+    .reduce((all, part) => all.concat(/^[a-z]/i.test(part) ? parseWindows(part) : [parseCron(part)]), []);
+  if (entries.length === 0) throw new Error('schedule is empty');
+  const schedule = createSchedule(entries, timeZone);
+  if (!schedule.nextRun(new Date())) throw new Error(`schedule "${spec}" never fires`);
+  return schedule;
+};
+
+// The pre-cron behavior: hourly pulses from SCHEDULE_START:00 until SCHEDULE_END:00 every day
+const legacySchedule = (startHour, endHour, timeZone) => createSchedule(
+  [makeWindow(`daily ${startHour}:00-${endHour}:00`, DAY_ALIASES.daily, startHour * 60, endHour * 60)],
+  timeZone,
+);
+
+module.exports = {
+  getZonedParts,
+  wallToInstant,
+  parseSchedule,
+  legacySchedule,
+};
@@ -0,0 +1,238 @@
+// ===================================================================
+// |> Status and Control Server for Git Chronos <|
+// ===================================================================
+// A small HTTP endpoint for watching and steering a running daemon.
+// The local --httpPort serves only the GET routes; the control socket,
+// which only the daemon's user can open, serves the POST routes too:
+//   GET  /healthz   every profile's last health check and when it ran; 200 when all pass, 503 otherwise.
+//                   A result older than a minute is checked again, at most once per profile at a time.
+//   GET  /status    per profile: config (secrets masked), today's commits against
+//                   DAILY_LIMIT, the next scheduled pulse, the pause and the last error
+//   GET  /metrics   Prometheus text format, one `profile` label per series
+//   POST /pause, /resume, /run-now   optionally for ?profile=a,b only
+//   POST /reload    re-read and re-validate the config
+// Counters count from the daemon's start; a restart resets them, which
+// Prometheus' rate() and increase() already expect. `requestControl` is
+// the client side, used by the git-chronos subcommands.
+
+const http = require('http');
+const net = require('net');
+const { promisify } = require('util');
+const { unlink, chmod, mkdir } = require('fs');
+const { dirname } = require('path');
+const { ChronosError, ConfigError } = require('./errors');
+
+const unlinkAsync = promisify(unlink);
+const chmodAsync = promisify(chmod);
+const mkdirAsync = promisify(mkdir);
+
+// Config keys whose values never leave the process
+const SECRET_KEY = /TOKEN|SECRET|PASSWORD/;
+
+// Config with secret values masked. Notification sinks show only their type and events: webhook URLs
+// and headers are credentials too.
+const redactConfig = (config) => Object.keys(config).reduce((safe, key) => {
+  if (key === 'NOTIFY' && config.NOTIFY) {
+    return { ...safe, NOTIFY: Object.keys(config.NOTIFY).reduce((sinks, name) => ({ ...sinks, [name]: { type: config.NOTIFY[name].type, events: config.NOTIFY[name].events || 'all' } }), {}) };
+  }
+  return { ...safe, [key]: SECRET_KEY.test(key) && config[key] !== null && config[key] !== undefined ? '***' : config[key] };
+}, {});
+
+// Label values escaped per the Prometheus text format
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Unix seconds of an ISO timestamp, 0 when unset
+const toSeconds = (at) => (at ? Math.floor(Date.parse(at) / 1000) : 0);
+
+// Prometheus exposition for every profile: [{ profile, metrics, status, health }]
+const formatMetrics = (samples) => {
+  const families = [
+    ['commits_total', 'counter', 'Commits made since the daemon started', (s) => [[{}, s.metrics.commits]]],
+    ['push_failures_total', 'counter', 'Pushes that failed after all retries', (s) => [[{}, s.metrics.pushFailures]]],
+    ['retries_total', 'counter', 'Git commands retried after a transient or non-fast-forward failure', (s) => [[{}, s.metrics.retries]]],
+    ['runs_total', 'counter', 'Pulses run, skipped ones included', (s) => [[{}, s.metrics.runs]]],
+    ['run_failures_total', 'counter', 'Pulses that ended in an error', (s) => [[{}, s.metrics.failedRuns]]],
+    ['skipped_runs_total', 'counter', 'Pulses that made no commits, by reason', (s) => Object.keys(s.metrics.skipped).map((reason) => [{ reason }, s.metrics.skipped[reason]])],
+    ['daily_commits', 'gauge', 'Commits made today', (s) => [[{}, s.status.commitCount]]],
+    ['daily_limit', 'gauge', 'Configured DAILY_LIMIT', (s) => [[{}, s.status.dailyLimit]]],
+    ['paused', 'gauge', 'Whether the profile is paused', (s) => [[{}, s.status.paused ? 1 : 0]]],
+    ['last_run_timestamp_seconds', 'gauge', 'When the last pulse finished', (s) => [[{}, toSeconds(s.metrics.lastRunAt)]]],
+    ['last_success_timestamp_seconds', 'gauge', 'When the last pulse finished without an error', (s) => [[{}, toSeconds(s.metrics.lastSuccessAt)]]],
+    ['next_run_timestamp_seconds', 'gauge', 'When the next pulse is due, 0 when none is scheduled', (s) => [[{}, toSeconds(s.status.nextRunAt)]]],
+    ['up', 'gauge', 'Whether the profile passes its health check', (s) => [[{}, s.health.healthy ? 1 : 0]]],
+    ['health_check_timestamp_seconds', 'gauge', 'When the health check behind git_chronos_up ran', (s) => [[{}, toSeconds(s.health.checkedAt)]]],
+  ];
+  return families.map(([name, type, help, values]) => {
+    const lines = [`# HELP git_chronos_${name} ${help}`, `# TYPE git_chronos_${name} ${type}`];
+    samples.forEach((sample) => values(sample).forEach(([labels, value]) => {
+      const pairs = Object.entries({ profile: sample.profile, ...labels }).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+      lines.push(`git_chronos_${name}{${pairs.join(',')}} ${Number(value)}`);
+    }));
+    return lines.join('\n');
+  }).join('\n').concat('\n');
+};
+
+// HTTP status of a failed request: bad input, a daemon in the wrong state, or a real failure
+const errorStatus = (error) => {
+  if (error instanceof ConfigError) return 400;
+  if (error.code === 'CHRONOS_STATE') return 409;
+  return 500;
+};
+
+// A socket file left by a daemon that died without closing it; a live daemon still answers on it
+const isStaleSocket = (socket) => new Promise((resolve) => {
+  const probe = net.connect(socket);
+  probe.once('connect', () => {
+    probe.destroy();
+    resolve(false);
+  });
+  probe.once('error', () => resolve(true));
+});
+
+// Listen on a TCP port or a unix socket, clearing a stale socket file once
+const listen = (server, { port, host, socket }) => new Promise((resolve, reject) => {
+  const attempt = (retry) => {
+    const onError = async (error) => {
+      if (socket && retry && error.code === 'EADDRINUSE' && await isStaleSocket(socket)) {
+        await unlinkAsync(socket).catch(() => {});
+        attempt(false);
+        return;
+      }
+      const where = socket || `${host}:${port}`;
+      const message = error.code === 'EADDRINUSE' && socket ? 'another daemon is listening on it' : error.message;
+      reject(new ChronosError(`${socket ? 'CONTROL LINK' : 'STATUS BEACON'} FAILURE: Cannot listen on ${where}! ${message}`, 'CHRONOS_SERVER', error));
+    };
+    const onListening = () => {
+      server.removeListener('error', onError);
+      resolve();
+    };
+    server.once('error', onError);
+    if (socket) server.listen(socket, onListening);
+    else server.listen(port, host, onListening);
+  };
+  attempt(true);
+});
+
+// Serve the status and control routes for `engines` on `port`/`host` or on the unix socket `socket`.
+// `control` carries the fleet-wide actions: { pause(names), resume(names), runNow(names), reload() },
+// where `names` is null for every profile. Resolves to { url, close } once listening.
+const createStatusServer = async (engines, { port, host = '127.0.0.1', socket = null, control = null }) => {
+  // Every engine's cached health: { healthy, checkedAt, error }
+  const checkHealth = () => Promise.all(engines.map((engine) => engine.health()));
+
+  const json = (code, body) => ({ code, type: 'application/json', body: JSON.stringify(body, null, 2) });
+
+  // Run a control action for the profiles in ?profile=a,b (all of them when absent)
+  const act = (name) => async (query) => {
+    if (!control) throw new ChronosError('CONTROL OFFLINE: This server only reports status!', 'CHRONOS_STATE');
+    const names = query.get('profile') ? query.get('profile').split(',') : null;
+    return json(200, { ok: true, profiles: await control[name](names) });
+  };
+
+  const routes = {
+    '/healthz': {
+      GET: async () => {
+        const results = await checkHealth();
+        const profiles = engines.map((engine, index) => ({
+          profile: engine.config.PROFILE_NAME,
+          healthy: results[index].healthy,
+          checkedAt: results[index].checkedAt,
+          error: results[index].error ? results[index].error.message : null,
+        }));
+        const healthy = results.every((result) => result.healthy);
+        return json(healthy ? 200 : 503, { healthy, profiles });
+      },
+    },
+    '/status': {
+      GET: async () => json(200, {
+        profiles: await Promise.all(engines.map(async (engine) => {
+          const status = await engine.status();
+          return {
+            profile: engine.config.PROFILE_NAME,
+            status,
+            today: { commits: status.commitCount, limit: status.dailyLimit },
+            nextRunAt: status.nextRunAt,
+            paused: status.paused,
+            lastError: status.lastError,
+            config: redactConfig(engine.config),
+          };
+        })),
+      }),
+    },
+    '/metrics': {
+      GET: async () => {
+        const [results, statuses] = await Promise.all([checkHealth(), Promise.all(engines.map((engine) => engine.status()))]);
+        const samples = engines.map((engine, index) => ({
+          profile: engine.config.PROFILE_NAME,
+          metrics: engine.metrics(),
+          status: statuses[index],
+          health: results[index],
+        }));
+        return { code: 200, type: 'text/plain; version=0.0.4', body: formatMetrics(samples) };
+      },
+    },
+    '/pause': { POST: act('pause') },
+    '/resume': { POST: act('resume') },
+    '/run-now': { POST: act('runNow') },
+    '/reload': { POST: act('reload') },
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const send = ({ code, type, body }) => {
+      response.writeHead(code, { 'Content-Type': type });
+      response.end(body);
+    };
+    const url = new URL(request.url, 'http://localhost');
+    const route = routes[url.pathname];
+    if (!route) return send(json(404, { error: 'not found' }));
+    if (!route[request.method]) return send(json(405, { error: 'method not allowed' }));
+    try {
+      return send(await route[request.method](url.searchParams));
+    } catch (error) {
+      return send(json(errorStatus(error), { error: error.message, code: error.code || null }));
+    }
+  });
+
+  if (socket) await mkdirAsync(dirname(socket), { recursive: true });
+  await listen(server, { port, host, socket });
+  // Only the daemon's user may steer it
+  if (socket) await chmodAsync(socket, 0o600);
+
+  const close = () => new Promise((done) => {
+    server.close(() => done());
+    // Scrapers hold keep-alive connections open; Node 18.2+ can drop the idle ones right away
+    if (server.closeIdleConnections) server.closeIdleConnections();
+  });
+  return { url: socket ? `unix:${socket}` : `http://${host}:${server.address().port}`, close };
+};
+
+// Send one request to a daemon's control socket; resolves to { code, body } with the parsed JSON body.
+// Throws a ChronosError with code CHRONOS_CONTROL when no daemon is listening.
+const requestControl = (socket, method, path) => new Promise((resolve, reject) => {
+  const request = http.request({ socketPath: socket, method, path }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      text += chunk;
+    });
+    response.on('end', () => {
+      try {
+        resolve({ code: response.statusCode, body: JSON.parse(text) });
+      } catch (error) {
+        reject(new ChronosError(`CONTROL LINK FAILURE: ${socket} sent an unreadable answer!`, 'CHRONOS_CONTROL', error));
+      }
+    });
+  });
+  request.on('error', (error) => {
+    const down = ['ENOENT', 'ECONNREFUSED'].includes(error.code);
+    reject(new ChronosError(down ? `CONTROL LINK DOWN: No daemon is listening on ${socket}!` : `CONTROL LINK FAILURE: ${error.message}`, 'CHRONOS_CONTROL', error));
+  });
+  request.end();
+});
+
+module.exports = {
+  redactConfig,
+  formatMetrics,
+  createStatusServer,
+  requestControl,
+};
@@ -0,0 +1,14 @@
+// ===================================================================
+// |> Template Rendering for Git Chronos <|
+// ===================================================================
+// Shared {placeholder} substitution for generator options and other
+// user-supplied text templates.
+
+// Replace {name} tokens with values; unknown placeholders are left untouched
+const renderTemplate = (template, values) => String(template).replace(/\{(\w+)\}/g, (match, name) => (
+  values[name] !== undefined && values[name] !== null ? String(values[name]) : match
+));
+
+module.exports = {
+  renderTemplate,
+};
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { mkdtempSync, readFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { createFleet } = require('../lib');
+
+// A fleet of one profile on a fresh repository under `root`
+const createSetup = () => {
+  const root = mkdtempSync(join(tmpdir(), 'chronos-fleet-'));
+  const repo = join(root, 'repo');
+  execFileSync('git', ['init', '-q', '-b', 'main', repo]);
+  execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '--allow-empty', '-m', 'init'], { cwd: repo });
+  const stateDir = join(root, 'state');
+  return { root, stateDir, fleet: createFleet({ config: false, repo, branch: 'main', stateDir, logLevel: 'warn' }) };
+};
+
+test('profile failures reach the fleet\'s error listeners with their profile', async (t) => {
+  const { root, fleet } = createSetup();
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  const received = [];
+  fleet.on('error', (error) => received.push(error));
+
+  fleet.engines[0].emit('error', new Error('pulse failed'));
+
+  assert.deepEqual(received.map(({ message, profile }) => ({ message, profile })), [{ message: 'pulse failed', profile: 'default' }]);
+});
+
+test('profile failures nobody listens for are logged instead of dropped', async (t) => {
+  const { root, stateDir, fleet } = createSetup();
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+
+  fleet.engines[0].emit('error', new Error('pulse failed'));
+  // Entries reach the file in order, so this one resolving means the failure's line is written
+  await fleet.engines[0].logger.warn('TEST MARKER: after the failure');
+
+  assert.match(readFileSync(join(stateDir, 'bot_runtime.log'), 'utf8'), /WARN: UNWATCHED FAILURE: No error listener, the schedule carries on!/);
+});
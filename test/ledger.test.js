@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mkdtempSync, readFileSync, readdirSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { writeFileAtomic } = require('../lib/ledger');
+
+test('overlapping atomic writes of one file all land, the last call winning', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'chronos-ledger-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, 'commit_tracker.json');
+
+  // Sizes vary so the writes would finish out of order if they ran side by side
+  const results = await Promise.allSettled(Array.from({ length: 20 }, (unused, index) => (
+    writeFileAtomic(file, JSON.stringify({ index, padding: 'x'.repeat((index % 3) * 100000) }))
+  )));
+
+  assert.deepEqual(results.filter((result) => result.status === 'rejected'), []);
+  assert.equal(JSON.parse(readFileSync(file, 'utf8')).index, 19);
+  assert.deepEqual(readdirSync(dir), ['commit_tracker.json']);
+});
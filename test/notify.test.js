@@ -0,0 +1,204 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { createHmac } = require('crypto');
+const { mkdtempSync, readFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { createNotifier } = require('../lib/notify');
+
+const NOTIFICATION = {
+  event: 'run-failed',
+  profile: 'site',
+  repo: '/srv/site',
+  message: 'Pulse failed: remote rejected the push',
+  at: '2026-10-19T14:03:11.894Z',
+  error: 'remote rejected the push',
+};
+
+// The engine's log, keeping every line for assertions
+const createLog = () => {
+  const lines = [];
+  const record = (level) => async (message) => {
+    lines.push({ level, message });
+  };
+  return { lines, debug: record('debug'), warning: record('warning') };
+};
+
+// A webhook receiver answering every POST with `status`; resolves to { url, requests, close }
+const startReceiver = (status = 200) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      requests.push({ method: request.method, path: request.url, headers: request.headers, body });
+      response.writeHead(status);
+      response.end(status >= 400 ? 'hook disabled' : 'ok');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((done) => server.close(done)),
+  }));
+});
+
+// An SMTP relay stand-in. `reply(command)` may override the reply to a command; the rest get the usual
+// success codes. Resolves to { port, commands, messages, close } once listening.
+const startRelay = (reply = () => null) => new Promise((resolve) => {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+    socket.setEncoding('utf8');
+    socket.write('220 relay.test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end = buffer.indexOf('\r\n');
+      while (end !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        end = buffer.indexOf('\r\n');
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        commands.push(line);
+        const verb = line.split(/[\s:]/)[0];
+        const custom = reply(verb);
+        if (custom) socket.write(`${custom}\r\n`);
+        else if (verb === 'EHLO') socket.write('250-relay.test\r\n250-8BITMIME\r\n250 SIZE 10240000\r\n');
+        else if (verb === 'DATA') {
+          data = [];
+          socket.write('354 end data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') socket.end('221 2.0.0 bye\r\n');
+        else socket.write('250 2.1.0 ok\r\n');
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    commands,
+    messages,
+    close: () => new Promise((done) => server.close(done)),
+  }));
+});
+
+test('webhook posts the event as JSON, signed with the secret', async (t) => {
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const log = createLog();
+  const notifier = createNotifier({ hook: { type: 'webhook', url: `${receiver.url}/chronos`, secret: 's3cret', headers: { 'X-Team': 'ops' } } }, { log });
+
+  notifier.send(NOTIFICATION);
+  await notifier.flush();
+
+  const [request] = receiver.requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.path, '/chronos');
+  assert.deepEqual(JSON.parse(request.body), NOTIFICATION);
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers['x-chronos-event'], 'run-failed');
+  assert.equal(request.headers['x-team'], 'ops');
+  assert.equal(request.headers['x-chronos-signature'], `sha256=${createHmac('sha256', 's3cret').update(request.body).digest('hex')}`);
+  assert.deepEqual(log.lines, [{ level: 'debug', message: 'NOTIFY SENT: run-failed delivered to hook' }]);
+});
+
+test('slack posts the message as text, prefixed with a named profile', async (t) => {
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const notifier = createNotifier({ chat: { type: 'slack', url: receiver.url, channel: '#bots', username: 'chronos' } }, { log: createLog() });
+
+  notifier.send(NOTIFICATION);
+  notifier.send({ ...NOTIFICATION, profile: 'default' });
+  await notifier.flush();
+
+  assert.deepEqual(receiver.requests.map((request) => JSON.parse(request.body)), [
+    { text: 'git-chronos [site] Pulse failed: remote rejected the push', channel: '#bots', username: 'chronos' },
+    { text: 'git-chronos Pulse failed: remote rejected the push', channel: '#bots', username: 'chronos' },
+  ]);
+});
+
+test('smtp walks the relay through one mail per event', async (t) => {
+  const relay = await startRelay();
+  t.after(relay.close);
+  const log = createLog();
+  const notifier = createNotifier({
+    mail: { type: 'smtp', host: '127.0.0.1', port: relay.port, from: 'bot@example.com', to: ['ops@example.com', 'dev@example.com'] },
+  }, { log });
+
+  notifier.send({ ...NOTIFICATION, message: 'Pulse failed:\n.\nsee the log' });
+  await notifier.flush();
+
+  assert.deepEqual(relay.commands.map((command) => command.split(' ')[0]), ['EHLO', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT']);
+  assert.deepEqual(relay.commands.slice(1, 4), ['MAIL FROM:<bot@example.com>', 'RCPT TO:<ops@example.com>', 'RCPT TO:<dev@example.com>']);
+  const [message] = relay.messages;
+  const [headers, text, json] = message.split('\r\n\r\n');
+  assert.match(headers, /^From: bot@example\.com\r\nTo: ops@example\.com, dev@example\.com\r\nSubject: \[git-chronos\] site: run-failed\r\n/);
+  assert.match(headers, /\r\nContent-Type: text\/plain; charset=utf-8/);
+  // The lone "." line is dot-stuffed on the wire
+  assert.equal(text, 'Pulse failed:\r\n..\r\nsee the log');
+  assert.deepEqual(JSON.parse(json), { ...NOTIFICATION, message: 'Pulse failed:\n.\nsee the log' });
+  assert.deepEqual(log.lines, [{ level: 'debug', message: 'NOTIFY SENT: run-failed delivered to mail' }]);
+});
+
+test('failed deliveries are logged as warnings and never thrown', async (t) => {
+  const receiver = await startReceiver(410);
+  const relay = await startRelay((verb) => (verb === 'RCPT' ? '550 5.1.1 mailbox unavailable' : null));
+  t.after(() => Promise.all([receiver.close(), relay.close()]));
+  const log = createLog();
+  const notifier = createNotifier({
+    hook: { type: 'webhook', url: receiver.url },
+    mail: { type: 'smtp', host: '127.0.0.1', port: relay.port, to: 'ops@example.com' },
+  }, { log });
+
+  notifier.send(NOTIFICATION);
+  await notifier.flush();
+
+  const warnings = log.lines.filter((line) => line.level === 'warning').map((line) => line.message).sort();
+  assert.deepEqual(warnings, [
+    `NOTIFY FAILURE: hook missed run-failed! 127.0.0.1:${new URL(receiver.url).port} returned 410: hook disabled`,
+    `NOTIFY FAILURE: mail missed run-failed! SMTP 127.0.0.1:${relay.port} answered "550 5.1.1 mailbox unavailable" to RCPT`,
+  ]);
+  assert.equal(relay.messages.length, 0);
+});
+
+test('command sinks get the event in their environment and on stdin', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'chronos-notify-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const out = join(dir, 'event');
+  const notifier = createNotifier({ script: { type: 'command', command: `echo "$CHRONOS_EVENT $CHRONOS_PROFILE" > "${out}.env" && cat > "${out}.json"` } }, { log: createLog() });
+
+  notifier.send(NOTIFICATION);
+  await notifier.flush();
+
+  assert.equal(readFileSync(`${out}.env`, 'utf8'), 'run-failed site\n');
+  assert.deepEqual(JSON.parse(readFileSync(`${out}.json`, 'utf8')), NOTIFICATION);
+});
+
+test('sinks only get their events, within their rate limit', async (t) => {
+  const receiver = await startReceiver();
+  t.after(receiver.close);
+  const log = createLog();
+  const notifier = createNotifier({ hook: { type: 'webhook', url: receiver.url, events: ['run-failed'], rateLimit: { max: 1, window: 3600 } } }, { log });
+
+  notifier.send({ ...NOTIFICATION, event: 'run-started' });
+  notifier.send(NOTIFICATION);
+  notifier.send(NOTIFICATION);
+  await notifier.flush();
+
+  assert.equal(receiver.requests.length, 1);
+  assert.ok(log.lines.some((line) => line.message === 'NOTIFY THROTTLED: hook dropped run-failed (rate limit)'));
+});
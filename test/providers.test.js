@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createProvider } = require('../lib/providers');
+
+// A forge stand-in: `answer(request)` returns [status, body] for each { method, path, headers, body }.
+// Resolves to { url, requests, close } once listening.
+const startForge = (answer) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    let text = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => {
+      text += chunk;
+    });
+    request.on('end', () => {
+      const received = { method: request.method, path: request.url, headers: request.headers, body: text ? JSON.parse(text) : null };
+      requests.push(received);
+      const [status, body] = answer(received);
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(body === undefined ? '' : JSON.stringify(body));
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((done) => server.close(done)),
+  }));
+});
+
+const PULLS = '/api/v1/repos/bot/site/pulls';
+const MERGE_REQUESTS = '/api/v4/projects/bot%2Fsite/merge_requests';
+
+test('gitea opens a pull request when none is open', async (t) => {
+  const forge = await startForge(({ method }) => (method === 'GET' ? [200, []] : [201, { number: 7, html_url: 'https://forge/bot/site/pulls/7' }]));
+  t.after(forge.close);
+  const provider = createProvider('gitea', { url: `${forge.url}/`, token: 'secret', repo: 'bot/site' });
+
+  assert.equal(await provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' }), null);
+  const request = await provider.create({ head: 'chronos/2026-10-19', base: 'main', title: 'Daily commits', body: '- one' });
+
+  assert.deepEqual(request, { number: 7, url: 'https://forge/bot/site/pulls/7' });
+  const [find, create] = forge.requests;
+  assert.equal(find.path, `${PULLS}?state=open&limit=50&page=1`);
+  assert.equal(create.method, 'POST');
+  assert.equal(create.path, PULLS);
+  assert.equal(create.headers.authorization, 'token secret');
+  assert.deepEqual(create.body, { head: 'chronos/2026-10-19', base: 'main', title: 'Daily commits', body: '- one' });
+});
+
+test('gitea finds an open pull request on a later page and updates it', async (t) => {
+  const other = { number: 3, html_url: 'https://forge/bot/site/pulls/3', head: { ref: 'feature' }, base: { ref: 'main' } };
+  const ours = { number: 9, html_url: 'https://forge/bot/site/pulls/9', head: { ref: 'chronos/2026-10-19' }, base: { ref: 'main' } };
+  const forge = await startForge(({ method, path }) => {
+    if (method === 'GET') return [200, path.endsWith('page=1') ? [other] : [ours]];
+    if (method === 'PATCH') return [200, ours];
+    return [200];
+  });
+  t.after(forge.close);
+  const provider = createProvider('gitea', { url: forge.url, token: 'secret', repo: 'bot/site' });
+
+  const request = await provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' });
+  assert.deepEqual(request, { number: 9, url: 'https://forge/bot/site/pulls/9' });
+  assert.deepEqual(await provider.update(request, { title: 'Daily commits', body: '- two' }), request);
+  await provider.merge(request, { deleteBranch: true });
+
+  assert.deepEqual(forge.requests.map(({ method, path }) => `${method} ${path}`), [
+    `GET ${PULLS}?state=open&limit=50&page=1`,
+    `GET ${PULLS}?state=open&limit=50&page=2`,
+    `PATCH ${PULLS}/9`,
+    `POST ${PULLS}/9/merge`,
+  ]);
+  assert.deepEqual(forge.requests[2].body, { title: 'Daily commits', body: '- two' });
+  assert.deepEqual(forge.requests[3].body, { Do: 'merge', merge_when_checks_succeed: true, delete_branch_after_merge: true });
+});
+
+test('gitea stops paging when the server ignores the page number', async (t) => {
+  const pulls = Array.from({ length: 50 }, (unused, index) => ({ number: index + 1, head: { ref: `feature-${index}` }, base: { ref: 'main' } }));
+  const forge = await startForge(() => [200, pulls]);
+  t.after(forge.close);
+  const provider = createProvider('gitea', { url: forge.url, token: 'secret', repo: 'bot/site' });
+
+  assert.equal(await provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' }), null);
+  assert.equal(forge.requests.length, 2);
+});
+
+test('gitea gives up after a bounded number of pages', async (t) => {
+  const forge = await startForge(({ path }) => {
+    const page = Number(new URL(path, 'http://forge').searchParams.get('page'));
+    return [200, Array.from({ length: 50 }, (unused, index) => ({ number: page * 50 + index, head: { ref: 'feature' }, base: { ref: 'main' } }))];
+  });
+  t.after(forge.close);
+  const provider = createProvider('gitea', { url: forge.url, token: 'secret', repo: 'bot/site' });
+
+  await assert.rejects(provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' }), /more than 1000 open pull requests/);
+  assert.equal(forge.requests.length, 20);
+});
+
+test('gitea rejects with the status of an auth failure', async (t) => {
+  const forge = await startForge(() => [401, { message: 'token is required' }]);
+  t.after(forge.close);
+  const provider = createProvider('gitea', { url: forge.url, token: 'wrong', repo: 'bot/site' });
+
+  await assert.rejects(provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' }), (error) => {
+    assert.equal(error.status, 401);
+    assert.match(error.message, /^GET \/api\/v1\/repos\/bot\/site\/pulls returned 401: .*token is required/);
+    return true;
+  });
+});
+
+test('gitlab opens a merge request when none is open', async (t) => {
+  const forge = await startForge(({ method }) => (method === 'GET' ? [200, []] : [201, { iid: 4, web_url: 'https://lab/bot/site/-/merge_requests/4' }]));
+  t.after(forge.close);
+  const provider = createProvider('gitlab', { url: forge.url, token: 'secret', repo: 'bot/site' });
+
+  assert.equal(await provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' }), null);
+  const request = await provider.create({ head: 'chronos/2026-10-19', base: 'main', title: 'Daily commits', body: '- one' });
+
+  assert.deepEqual(request, { number: 4, url: 'https://lab/bot/site/-/merge_requests/4' });
+  const [find, create] = forge.requests;
+  assert.equal(find.path, `${MERGE_REQUESTS}?state=opened&source_branch=chronos%2F2026-10-19&target_branch=main`);
+  assert.equal(create.headers['private-token'], 'secret');
+  assert.deepEqual(create.body, { source_branch: 'chronos/2026-10-19', target_branch: 'main', title: 'Daily commits', description: '- one' });
+});
+
+test('gitlab reuses an open merge request', async (t) => {
+  const ours = { iid: 12, web_url: 'https://lab/bot/site/-/merge_requests/12' };
+  const forge = await startForge(({ method }) => (method === 'GET' ? [200, [ours]] : [200, ours]));
+  t.after(forge.close);
+  const provider = createProvider('gitlab', { url: forge.url, token: 'secret', repo: 'bot/site' });
+
+  const request = await provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' });
+  assert.deepEqual(request, { number: 12, url: 'https://lab/bot/site/-/merge_requests/12' });
+  assert.deepEqual(await provider.update(request, { title: 'Daily commits', body: '- two' }), request);
+  await provider.merge(request, { deleteBranch: false });
+
+  assert.deepEqual(forge.requests.slice(1).map(({ method, path, body }) => [method, path, body]), [
+    ['PUT', `${MERGE_REQUESTS}/12`, { title: 'Daily commits', description: '- two' }],
+    ['PUT', `${MERGE_REQUESTS}/12/merge`, { merge_when_pipeline_succeeds: true, should_remove_source_branch: false }],
+  ]);
+});
+
+test('gitlab rejects with the status of an auth failure', async (t) => {
+  const forge = await startForge(() => [403, { message: '403 Forbidden' }]);
+  t.after(forge.close);
+  const provider = createProvider('gitlab', { url: forge.url, token: 'read-only', repo: 'bot/site' });
+
+  await assert.rejects(provider.findOpen({ head: 'chronos/2026-10-19', base: 'main' }), { status: 403 });
+});
+
+test('gitlab rejects a refused merge request with the forge message', async (t) => {
+  const forge = await startForge(({ method }) => (method === 'GET' ? [200, []] : [409, { message: ['Another open merge request already exists for this source branch'] }]));
+  t.after(forge.close);
+  const provider = createProvider('gitlab', { url: forge.url, token: 'secret', repo: 'bot/site' });
+
+  await assert.rejects(provider.create({ head: 'chronos/2026-10-19', base: 'main', title: 'Daily commits', body: '' }), (error) => {
+    assert.equal(error.status, 409);
+    assert.match(error.message, /^POST .* returned 409: .*Another open merge request already exists/);
+    return true;
+  });
+});
+
+test('built-in providers need a base URL and a repository', () => {
+  assert.throws(() => createProvider('gitea', { repo: 'bot/site' }), /gitea needs a base URL/);
+  assert.throws(() => createProvider('gitlab', { url: 'https://lab' }), /gitlab needs a repository/);
+});
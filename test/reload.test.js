@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { mkdtempSync, mkdirSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { createFleet } = require('../lib');
+
+// Two repositories with one commit each, profiled in a config file under `root`
+const createSetup = () => {
+  const root = mkdtempSync(join(tmpdir(), 'chronos-reload-'));
+  ['docs', 'data'].forEach((name) => {
+    const repo = join(root, name);
+    mkdirSync(repo);
+    execFileSync('git', ['init', '-q', '-b', 'main', repo]);
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '--allow-empty', '-m', 'init'], { cwd: repo });
+  });
+  writeFileSync(join(root, 'generator.js'), "module.exports = async () => ({ writes: [{ path: 'data.txt', content: 'v1\\n' }] });\n");
+  const writeConfig = (dailyLimit) => writeFileSync(join(root, 'chronos.json'), JSON.stringify({
+    stateDir: join(root, 'state'),
+    logLevel: 'error',
+    profiles: [
+      { name: 'docs', repo: join(root, 'docs'), dailyLimit },
+      { name: 'data', repo: join(root, 'data'), dailyLimit, generator: join(root, 'generator.js') },
+    ],
+  }));
+  writeConfig(10);
+  return { root, writeConfig };
+};
+
+test('a profile that fails to reload leaves every profile on the old config', async (t) => {
+  const { root, writeConfig } = createSetup();
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  const fleet = createFleet({ config: join(root, 'chronos.json') });
+
+  writeConfig(20);
+  writeFileSync(join(root, 'generator.js'), 'module.exports = 42;\n');
+  await assert.rejects(fleet.reload(), { code: 'CHRONOS_CONFIG', profile: 'data' });
+  assert.deepEqual(fleet.engines.map((engine) => engine.config.DAILY_LIMIT), [10, 10]);
+
+  writeFileSync(join(root, 'generator.js'), "module.exports = async () => ({ writes: [{ path: 'data.txt', content: 'v2\\n' }] });\n");
+  const results = await fleet.reload();
+  assert.deepEqual(results.map(({ profile, changed }) => [profile, changed]), [['docs', ['DAILY_LIMIT']], ['data', ['DAILY_LIMIT']]]);
+  assert.deepEqual(fleet.engines.map((engine) => engine.config.DAILY_LIMIT), [20, 20]);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyGitError, backoffDelay } = require('../lib/retry');
+
+// A failed git run as execFile reports it
+const failed = (code, stderr, extra = {}) => ({ code, stderr, message: `Command failed: git\n${stderr}`, ...extra });
+
+test('git dying on the network or the server is transient', () => {
+  assert.equal(classifyGitError(failed(128, "fatal: unable to access 'https://forge/x.git/': Could not resolve host: forge")), 'transient');
+  assert.equal(classifyGitError(failed(128, "fatal: unable to access 'https://forge/x.git/': The requested URL returned error: 503")), 'transient');
+  assert.equal(classifyGitError(failed(128, "fatal: Unable to create '/repo/.git/index.lock': File exists.")), 'transient');
+  assert.equal(classifyGitError(failed(null, '', { killed: true, signal: 'SIGTERM' })), 'transient');
+  assert.equal(classifyGitError(failed('ECONNRESET', '')), 'transient');
+});
+
+test('rejected credentials are auth failures', () => {
+  assert.equal(classifyGitError(failed(128, "fatal: unable to access 'https://forge/x.git/': The requested URL returned error: 403")), 'auth');
+  assert.equal(classifyGitError(failed(128, 'error: RPC failed; HTTP 401 curl 22 The requested URL returned error: 401')), 'auth');
+  assert.equal(classifyGitError(failed(128, 'git@forge: Permission denied (publickey).\nfatal: Could not read from remote repository.')), 'auth');
+});
+
+test('status-like numbers outside git\'s HTTP phrasing are not statuses', () => {
+  assert.equal(classifyGitError(failed(128, "fatal: bad object 403a1f0c\nfatal: couldn't connect to 10.0.0.5 port 401")), 'fatal');
+  assert.equal(classifyGitError(failed(128, 'fatal: reference is not a tree: 5031b4c8')), 'fatal');
+});
+
+test('a push the remote turned down is a non-fast-forward', () => {
+  const stderr = " ! [rejected]        main -> main (fetch first)\nerror: failed to push some refs to 'forge:x.git'";
+  assert.equal(classifyGitError(failed(1, stderr)), 'non-fast-forward');
+});
+
+test('exit codes other than git dying are the command\'s own failures', () => {
+  assert.equal(classifyGitError(failed(1, 'CONFLICT (content): Merge conflict in data.json\nerror: could not apply 5031b4c... update')), 'fatal');
+  assert.equal(classifyGitError(failed(129, 'usage: git push [<options>] (authentication failed)')), 'fatal');
+  assert.equal(classifyGitError(failed('ENOENT', 'spawn git ENOENT')), 'fatal');
+});
+
+test('backoff doubles up to its cap, jittered to the upper half', () => {
+  assert.equal(backoffDelay(1, { base: 1000, max: 60000 }, () => 1), 1000);
+  assert.equal(backoffDelay(3, { base: 1000, max: 60000 }, () => 0), 2000);
+  assert.equal(backoffDelay(10, { base: 1000, max: 60000 }, () => 1), 60000);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { mkdtempSync, writeFileSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { createChronos } = require('../lib');
+
+// A repository with one commit and a state directory next to it
+const createRepo = () => {
+  const root = mkdtempSync(join(tmpdir(), 'chronos-seed-'));
+  const repo = join(root, 'repo');
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo });
+  execFileSync('git', ['init', '-q', '-b', 'main', repo]);
+  writeFileSync(join(repo, 'README.md'), 'seed test\n');
+  git('add', 'README.md');
+  git('commit', '-q', '-m', 'init');
+  // Plain messages, so a message depends on the seeded pick alone and not on the clock
+  const messageFile = join(root, 'messages.txt');
+  writeFileSync(messageFile, ['Tidy the notes', 'Refresh the data', 'Update the log', 'Sort the entries', 'Touch up the docs'].join('\n'));
+  return { root, repo, stateDir: join(root, 'state'), messageFile };
+};
+
+// An engine on `repo` with random message picks, pulsing on `schedule` every day of the week
+const createEngine = ({ repo, stateDir, messageFile }, seed, schedule) => createChronos({
+  config: false,
+  repo,
+  branch: 'main',
+  stateDir,
+  seed,
+  schedule,
+  enableWeekends: true,
+  messageFile,
+  messageOrder: 'random',
+  minCommits: 1,
+  maxCommits: 5,
+  dailyLimit: 100,
+  logLevel: 'error',
+});
+
+// What a plan decides: when, how many and which messages and files
+const summarize = (pulses) => pulses.map(({ scheduledAt, skipped, commits }) => ({
+  scheduledAt: scheduledAt.toISOString(),
+  skipped,
+  commits: commits.map(({ at, message, files }) => ({ at: at.toISOString(), message, files })),
+}));
+
+test('the same seed and tracker give the same plan and messages', async (t) => {
+  const dirs = createRepo();
+  t.after(() => rmSync(dirs.root, { recursive: true, force: true }));
+  const from = new Date('2026-03-02T00:00:00Z');
+
+  const first = summarize(await createEngine(dirs, 'replay-me', '0 * * * *').plan({ days: 2, from }));
+  const second = summarize(await createEngine(dirs, 'replay-me', '0 * * * *').plan({ days: 2, from }));
+  assert.ok(first.some((pulse) => pulse.commits.length > 0));
+  assert.deepEqual(second, first);
+
+  const other = summarize(await createEngine(dirs, 'another-seed', '0 * * * *').plan({ days: 2, from }));
+  assert.notDeepEqual(other, first);
+});
+
+test('the same seed and tracker give the same dry run', async (t) => {
+  const dirs = createRepo();
+  t.after(() => rmSync(dirs.root, { recursive: true, force: true }));
+  const preview = async () => {
+    // Due every minute, so the pulse runs whenever the test does
+    const result = await createEngine(dirs, 'replay-me', '* * * * *').dryRun();
+    return { skipped: result.skipped, commits: result.commits.map(({ message, files }) => ({ message, files })) };
+  };
+
+  const first = await preview();
+  assert.equal(first.skipped, null);
+  assert.deepEqual(await preview(), first);
+});